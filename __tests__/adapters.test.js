@@ -0,0 +1,159 @@
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+
+/*
+ * IceWheel Energy - Deployment adapter tests (Node http, AWS Lambda, Fetch API)
+ */
+
+/** @jest-environment node */
+
+import { generateKeyPairSync } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+process.env.BEACON_LOG_LEVEL = 'ERROR';
+process.env.BEACON_HISTORY = 'off';
+
+const { handleBeaconRequest } = await import('../core.js');
+const { createBeaconServer } = await import('../adapters/node.js');
+const { handler } = await import('../adapters/lambda.js');
+const { fetchHandler, default: fetchDefault } = await import('../adapters/fetch.js');
+
+const { publicKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const PUBLIC_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+const PEM_PATH = '/.well-known/appspecific/com.tesla.3p.public-key.pem';
+const ICONS_VERSION = JSON.parse(readFileSync(createRequire(import.meta.url).resolve('bootstrap-icons/package.json'), 'utf8')).version;
+const WOFF2_PATH = `/assets/bootstrap-icons-${ICONS_VERSION}/fonts/bootstrap-icons.woff2`;
+const LOGIN_BODY = JSON.stringify({ clientId: 'cid', clientSecret: 'secret' });
+
+beforeEach(() => {
+  process.env.TESLA_PUBLIC_KEY = PUBLIC_PEM;
+  delete process.env.BEACON_ADMIN_TOKEN;
+  delete process.env.BEACON_RATE_LIMIT;
+});
+
+describe('portable request core', () => {
+  test('takes raw bodies and any header case', async () => {
+    const response = await handleBeaconRequest({ method: 'post', url: '/api/tesla/fleet/auth/login', headers: { Host: 'beacon.test', 'X-Forwarded-Proto': 'https', 'Content-Type': 'application/json' }, body: Buffer.from(LOGIN_BODY) });
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body).authorizeUrl).toContain(encodeURIComponent('https://beacon.test/api/tesla/fleet/auth/callback'));
+
+    const invalid = await handleBeaconRequest({ method: 'POST', url: '/register', headers: { host: 'beacon.test', 'content-type': 'application/json' }, body: '{not json' });
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('Node http adapter', () => {
+  test('serves the key and reads request bodies', async () => {
+    const server = createBeaconServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const pem = await fetch(`${origin}${PEM_PATH}`);
+      expect(pem.status).toBe(200);
+      expect(await pem.text()).toBe(PUBLIC_PEM.trim());
+      expect(pem.headers.get('strict-transport-security')).toBe('max-age=31536000');
+
+      const login = await fetch(`${origin}/api/tesla/fleet/auth/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: LOGIN_BODY });
+      expect(login.status).toBe(200);
+      expect(login.headers.get('set-cookie')).toMatch(/HttpOnly/);
+      // Plain http, so the cookie must not be marked Secure
+      expect(login.headers.get('set-cookie')).not.toMatch(/Secure/);
+
+      // No proxy in front: X-Forwarded-For is the client's own claim, so the socket address is the key
+      process.env.BEACON_RATE_LIMIT = '2';
+      const statuses = [];
+      for (const forwarded of ['192.0.2.1', '192.0.2.2', '192.0.2.3']) {
+        statuses.push((await fetch(`${origin}/session`, { headers: { 'X-Forwarded-For': forwarded } })).status);
+      }
+      expect(statuses).toEqual([200, 429, 429]);
+    } finally {
+      // fetch keeps the connection alive; Node 18 would otherwise wait for its idle timeout
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
+
+describe('AWS Lambda adapter', () => {
+  test('handles API Gateway payload v2 with cookies and base64 bodies', async () => {
+    const event = (rawQueryString) => ({
+      version: '2.0',
+      rawPath: '/api/tesla/fleet/auth/login',
+      rawQueryString,
+      headers: { host: 'abc.execute-api.eu-west-1.amazonaws.com', 'content-type': 'application/json' },
+      cookies: ['other=1'],
+      requestContext: { http: { method: 'POST', sourceIp: '203.0.113.9' } },
+      body: Buffer.from(LOGIN_BODY).toString('base64'),
+      isBase64Encoded: true,
+    });
+    const result = await handler(event('region=eu'));
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body).authorizeUrl).toContain(encodeURIComponent('https://abc.execute-api.eu-west-1.amazonaws.com/api/tesla/fleet/auth/callback'));
+    expect(result.cookies).toHaveLength(1);
+    expect(result.headers['Set-Cookie']).toBeUndefined();
+
+    const badRegion = await handler(event('region=mars'));
+    expect(badRegion.statusCode).toBe(400);
+    expect(JSON.parse(badRegion.body).error).toBe('Invalid region: mars');
+  });
+
+  test('handles REST API payload v1 and returns binary assets base64-encoded', async () => {
+    const pem = await handler({ httpMethod: 'GET', path: PEM_PATH, headers: { Host: 'example.com' }, queryStringParameters: null });
+    expect(pem).toMatchObject({ statusCode: 200, body: PUBLIC_PEM.trim(), isBase64Encoded: false });
+
+    const font = await handler({ httpMethod: 'GET', path: WOFF2_PATH, headers: { Host: 'example.com' } });
+    expect(font.isBase64Encoded).toBe(true);
+    expect(Buffer.from(font.body, 'base64').subarray(0, 4).toString()).toBe('wOF2');
+
+    const login = await handler({ httpMethod: 'POST', path: '/api/tesla/fleet/auth/login', headers: { Host: 'example.com', 'Content-Type': 'application/json' }, body: LOGIN_BODY });
+    expect(login.multiValueHeaders['Set-Cookie']).toHaveLength(1);
+  });
+});
+
+describe('Fetch API adapter', () => {
+  test('rate-limits by the peer address, not by client-supplied headers', async () => {
+    process.env.BEACON_RATE_LIMIT = '1';
+    const session = (headers, info) => fetchHandler(new Request('https://beacon.test/session', { headers }), info);
+    expect((await session({ 'X-Forwarded-For': '192.0.2.10' }, { remoteAddr: { hostname: '198.51.100.20' } })).status).toBe(200);
+    expect((await session({ 'X-Forwarded-For': '192.0.2.11' }, { remoteAddr: { hostname: '198.51.100.20' } })).status).toBe(429);
+    expect((await session({}, { ip: '198.51.100.21' })).status).toBe(200);
+
+    // Bun's default-export form: the address comes from server.requestIP
+    const bun = { requestIP: () => ({ address: '198.51.100.22', family: 'IPv4', port: 50000 }) };
+    expect((await fetchDefault.fetch(new Request('https://beacon.test/session'), bun)).status).toBe(200);
+    expect((await fetchDefault.fetch(new Request('https://beacon.test/session', { headers: { 'X-Forwarded-For': '192.0.2.12' } }), bun)).status).toBe(429);
+  });
+
+  test('turns a Request into a Response', async () => {
+    const pem = await fetchHandler(new Request(`https://beacon.test${PEM_PATH}`));
+    expect(pem.status).toBe(200);
+    expect(await pem.text()).toBe(PUBLIC_PEM.trim());
+
+    const login = await fetchHandler(new Request('https://beacon.test/api/tesla/fleet/auth/login?region=na', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: LOGIN_BODY }));
+    expect(login.status).toBe(200);
+    expect(login.headers.get('set-cookie')).toMatch(/Secure/);
+
+    const head = await fetchHandler(new Request(`https://beacon.test${PEM_PATH}`, { method: 'HEAD' }));
+    expect(head.status).toBe(200);
+    expect(head.headers.get('content-type')).toBe('application/x-pem-file');
+    expect(head.body).toBeNull();
+  });
+});
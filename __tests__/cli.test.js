@@ -0,0 +1,117 @@
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+/*
+ * IceWheel Energy - CLI Tests
+ */
+
+/** @jest-environment node */
+
+import { jest } from '@jest/globals';
+import { generateKeyPairSync } from 'node:crypto';
+
+process.env.BEACON_LOG_LEVEL = 'ERROR';
+process.env.BEACON_UPSTREAM_BACKOFF_MS = '0';
+process.env.BEACON_CIRCUIT_THRESHOLD = '0';
+process.env.BEACON_HISTORY = 'off';
+
+const fetchMock = jest.fn();
+jest.unstable_mockModule('node-fetch', () => ({ default: fetchMock }));
+const { main } = await import('../bin/icewheel-beacon.js');
+
+const { publicKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const PUBLIC_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+const jwk = publicKey.export({ format: 'jwk' });
+const PUBLIC_KEY_HEX = `04${Buffer.from(jwk.x, 'base64url').toString('hex')}${Buffer.from(jwk.y, 'base64url').toString('hex')}`;
+
+function jsonResponse(status, data) {
+  return { ok: status >= 200 && status < 300, status, json: async () => data };
+}
+
+async function run(...argv) {
+  let stdout = '';
+  let stderr = '';
+  const code = await main(argv, { stdout: { write: (s) => { stdout += s; } }, stderr: { write: (s) => { stderr += s; } } });
+  return { code, stdout, stderr };
+}
+
+beforeEach(() => {
+  fetchMock.mockReset();
+  process.env.TESLA_PUBLIC_KEY = PUBLIC_PEM;
+  process.env.TESLA_CLIENT_ID = 'cid';
+  process.env.TESLA_CLIENT_SECRET = 'secret';
+  delete process.env.TESLA_PARTNER_TOKEN;
+  delete process.env.BEACON_ADMIN_TOKEN;
+});
+
+describe('icewheel-beacon CLI', () => {
+  test('token prints one token per region and fails when a region fails', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse(200, { access_token: 'na-token', expires_in: 3600 }))
+      .mockResolvedValueOnce(jsonResponse(401, { error: 'invalid_client', error_description: 'Unknown client for this audience' }));
+
+    const { code, stdout } = await run('token', '--region', 'na,eu');
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('na: na-token');
+    expect(stdout).toContain('eu: FAILED - HTTP 401 - invalid_client - Unknown client for this audience');
+    expect(new URLSearchParams(fetchMock.mock.calls[1][1].body.toString()).get('audience')).toBe('https://fleet-api.prd.eu.vn.cloud.tesla.com');
+  });
+
+  test('verify passes only when Tesla has the active key, and prints JSON on request', async () => {
+    process.env.TESLA_PARTNER_TOKEN = 'partner';
+    process.env.BEACON_ADMIN_TOKEN = 'admin';
+    fetchMock.mockResolvedValue(jsonResponse(200, { response: { public_key: PUBLIC_KEY_HEX } }));
+    const inSync = await run('verify', '--domain', 'example.com');
+    expect(inSync.code).toBe(0);
+    expect(inSync.stdout).toBe(`na: ok - Tesla has the active key (${PUBLIC_KEY_HEX})\n`);
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer partner');
+
+    fetchMock.mockResolvedValue(jsonResponse(200, { response: { public_key: '04ab' } }));
+    const stale = await run('verify', '--domain', 'example.com', '--json');
+    expect(stale.code).toBe(1);
+    expect(JSON.parse(stale.stdout)[0].value.rotation).toMatchObject({ match: 'unknown', inSync: false });
+  });
+
+  test('key prints the served PEM with its fingerprint', async () => {
+    const { code, stdout } = await run('key');
+    expect(code).toBe(0);
+    expect(stdout).toContain(PUBLIC_PEM.trim());
+    expect(stdout).toMatch(/# TESLA_PUBLIC_KEY, prime256v1, SHA-256 [0-9a-f]{64}/);
+
+    process.env.TESLA_PUBLIC_KEY = 'not a key';
+    const errorSpy = jest.spyOn(console, 'error');
+    const broken = await run('key', '--json');
+    expect(broken.code).toBe(1);
+    // Core logs go to the injected stderr, never straight to the console
+    expect(JSON.parse(broken.stderr.trim().split('\n')[0])).toMatchObject({ severity: 'ERROR', message: expect.stringContaining('is not served') });
+    expect(errorSpy).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  test('usage errors exit with 2', async () => {
+    expect((await run('register')).code).toBe(2);
+    expect((await run('launch')).code).toBe(2);
+    delete process.env.TESLA_CLIENT_ID;
+    const missing = await run('register', '--domain', 'example.com');
+    expect(missing.code).toBe(2);
+    expect(missing.stderr).toContain('TESLA_CLIENT_ID');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
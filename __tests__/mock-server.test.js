@@ -0,0 +1,169 @@
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+/*
+ * IceWheel Energy - Offline integration tests against the bundled Tesla Fleet API mock
+ */
+
+/** @jest-environment node */
+
+import { createServer } from 'node:http';
+import { generateKeyPairSync } from 'node:crypto';
+
+process.env.BEACON_LOG_LEVEL = 'ERROR';
+process.env.BEACON_UPSTREAM_BACKOFF_MS = '0';
+process.env.BEACON_CIRCUIT_THRESHOLD = '0';
+process.env.BEACON_HISTORY = 'off';
+
+const { beacon } = await import('../index.js');
+const { createMockServer, parseScenarios } = await import('../mock/server.js');
+
+const { publicKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+const PUBLIC_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+const jwk = publicKey.export({ format: 'jwk' });
+const PUBLIC_KEY_HEX = `04${Buffer.from(jwk.x, 'base64url').toString('hex')}${Buffer.from(jwk.y, 'base64url').toString('hex')}`;
+
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(resolve));
+}
+
+async function call(url, body) {
+  let status = 200;
+  let sent;
+  const res = {
+    status(code) { status = code; return this; },
+    set() { return this; },
+    send(payload) { sent = payload; return this; },
+  };
+  await beacon({ method: 'POST', url, path: url, headers: { host: 'beacon.test' }, body }, res);
+  return { status, body: JSON.parse(sent) };
+}
+
+let mock;
+let mockUrl;
+let keyHost;
+
+beforeAll(async () => {
+  // Stands in for the beacon's public key URL that Tesla downloads during registration
+  keyHost = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/x-pem-file' });
+    res.end(PUBLIC_PEM);
+  });
+  const keyOrigin = await listen(keyHost);
+  mock = createMockServer({ keyOrigin, retryAfter: 0 });
+  mockUrl = await listen(mock);
+  process.env.TESLA_MOCK_URL = mockUrl;
+  process.env.TESLA_PUBLIC_KEY = PUBLIC_PEM;
+});
+
+afterAll(async () => {
+  delete process.env.TESLA_MOCK_URL;
+  delete process.env.TESLA_PUBLIC_KEY;
+  await close(mock);
+  await close(keyHost);
+});
+
+async function useScenario(scenario, region) {
+  const response = await fetch(`${mockUrl}/_mock/scenario`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ scenario, region }) });
+  expect(response.ok).toBe(true);
+}
+
+afterEach(async () => {
+  await useScenario('success');
+  delete process.env.BEACON_UPSTREAM_RETRIES;
+});
+
+async function getTokens(regions = ['na', 'eu']) {
+  const { body } = await call('/get-token', { clientId: 'cid', clientSecret: 'secret', regions });
+  return Object.fromEntries(Object.entries(body.tokens).map(([region, t]) => [region, t.access_token]));
+}
+
+describe('Tesla Fleet API mock', () => {
+  test('parses global and per-region scenarios', () => {
+    expect(parseScenarios('rate_limited')).toEqual({ '*': 'rate_limited' });
+    expect(parseScenarios('na=success, eu=server_error')).toEqual({ '*': 'success', na: 'success', eu: 'server_error' });
+    expect(() => parseScenarios('flaky')).toThrow('Unknown mock scenario "flaky"');
+  });
+
+  test('issues per-region tokens, registers the domain and reports the key', async () => {
+    const tokens = await getTokens();
+    expect(Object.keys(tokens)).toEqual(['na', 'eu']);
+
+    const register = await call('/register', { domain: 'beacon.test', tokens, regions: ['na'] });
+    expect(register.body[0]).toMatchObject({ status: 'fulfilled', value: { region: 'na', data: { response: { domain: 'beacon.test', public_key: PUBLIC_KEY_HEX } } } });
+
+    const verify = await call('/rotation-check', { domain: 'beacon.test', tokens, regions: ['na', 'eu'] });
+    expect(verify.body[0].value.rotation).toMatchObject({ match: 'active', inSync: true });
+    expect(verify.body[1]).toMatchObject({ status: 'rejected', reason: { region: 'eu', status: 404, code: 'not_found' } });
+  });
+
+  test('rejects a token issued for another region', async () => {
+    const { na } = await getTokens(['na']);
+    const { body } = await call('/verify', { domain: 'beacon.test', token: na, regions: ['eu'] });
+    expect(body[0].reason).toMatchObject({ status: 421, code: 'misdirected_request' });
+  });
+
+  test('invalid_client fails token requests', async () => {
+    await useScenario('invalid_client');
+    const { status, body } = await call('/get-token', { clientId: 'cid', clientSecret: 'secret', regions: ['na'] });
+    expect(status).toBe(502);
+    expect(body.upstream).toMatchObject({ status: 401, code: 'invalid_client', retriable: false });
+  });
+
+  test('domain_mismatch rejects registration', async () => {
+    const tokens = await getTokens(['na']);
+    await useScenario('domain_mismatch');
+    const { body } = await call('/register', { domain: 'beacon.test', tokens, regions: ['na'] });
+    expect(body[0].reason).toMatchObject({ status: 400, code: 'invalid_domain', description: 'Root domain beacon.test must match registered allowed origin' });
+  });
+
+  test('rate_limited and server_error are retried and reported as retriable', async () => {
+    const tokens = await getTokens();
+    process.env.BEACON_UPSTREAM_RETRIES = '1';
+    await useScenario('rate_limited', 'na');
+    await useScenario('server_error', 'eu');
+
+    const { body } = await call('/verify', { domain: 'beacon.test', tokens, regions: ['na', 'eu'] });
+    expect(body[0]).toMatchObject({ status: 'rejected', value: { attempts: 2 }, reason: { status: 429, code: 'too_many_requests', retriable: true } });
+    expect(body[1]).toMatchObject({ status: 'rejected', value: { attempts: 2 }, reason: { status: 503, code: 'service_unavailable', retriable: true } });
+  });
+
+  test('lists vehicles and pairing status for a user token only', async () => {
+    const tokenResponse = await fetch(`${mockUrl}/na/oauth2/v3/token`, { method: 'POST', body: new URLSearchParams({ grant_type: 'refresh_token', client_id: 'cid', refresh_token: 'mock-refresh-test', audience: `${mockUrl}/na` }) });
+    const userToken = (await tokenResponse.json()).access_token;
+
+    const vehicles = await call('/vehicles', { userToken, regions: ['na'] });
+    const vins = vehicles.body[0].value.data.response.map((v) => v.vin);
+    expect(vins).toHaveLength(2);
+
+    const products = await call('/products', { userToken, regions: ['na'] });
+    expect(products.body[0].value.data.response.some((p) => p.resource_type === 'battery')).toBe(true);
+
+    const status = await call('/fleet-status', { userToken, regions: ['na'], vins });
+    expect(status.body[0].value.data.response).toMatchObject({ key_paired_vins: [vins[0]], unpaired_vins: [vins[1]] });
+
+    const { na } = await getTokens(['na']);
+    const partner = await call('/vehicles', { userToken: na, regions: ['na'] });
+    expect(partner.body[0].reason).toMatchObject({ status: 403, code: 'unauthorized_client' });
+  });
+});
@@ -0,0 +1,67 @@
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+
+/*
+ * IceWheel Energy - Fetch API adapter
+ *
+ * Request -> Response handler for Deno, Bun and other Fetch-based runtimes with Node built-ins and a filesystem:
+ * the beacon imports node-fetch and node:crypto, and reads its UI assets and package.json from disk.
+ *   Deno:    Deno.serve(fetchHandler)
+ *   Bun:     export { default } from './adapters/fetch.js'
+ * Cloudflare Workers provide neither, even with nodejs_compat; use another target there.
+ * Clients are rate-limited by the peer address: Deno's remoteAddr, Bun's server.requestIP(request),
+ * or `ip` passed in by the caller.
+ */
+
+import { handleBeaconRequest } from '../core.js';
+
+function peerAddress({ ip, remoteAddr } = {}) {
+  return ip || (remoteAddr && remoteAddr.hostname) || undefined;
+}
+
+// `info` is Deno.serve's second argument, or { ip } from other runtimes
+export async function fetchHandler(request, info) {
+  const url = new URL(request.url);
+  const hasBody = !['GET', 'HEAD'].includes(request.method);
+  const response = await handleBeaconRequest({
+    method: request.method,
+    url: `${url.pathname}${url.search}`,
+    path: url.pathname,
+    headers: { host: url.host, ...Object.fromEntries(request.headers) },
+    body: hasBody ? Buffer.from(await request.arrayBuffer()) : undefined,
+    ip: peerAddress(info),
+    protocol: url.protocol.replace(':', ''),
+  }, { proxyHops: 0 });
+
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(response.headers)) {
+    for (const v of [].concat(value)) headers.append(name, String(v));
+  }
+  const empty = [204, 304].includes(response.status) || request.method === 'HEAD';
+  return new Response(empty ? null : response.body, { status: response.status, headers });
+}
+
+// Bun serves a default export with a fetch method and passes its server as the second argument
+export default {
+  fetch: (request, server) => {
+    const address = server && server.requestIP && server.requestIP(request);
+    return fetchHandler(request, { ip: address ? address.address : undefined });
+  },
+};
@@ -0,0 +1,80 @@
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+
+/*
+ * IceWheel Energy - AWS Lambda adapter
+ *
+ * Handler for API Gateway REST APIs (payload v1), HTTP APIs (payload v2) and Lambda function URLs.
+ * Set the function handler to adapters/lambda.handler.
+ * Clients are rate-limited by the source IP AWS reports; behind CloudFront, set BEACON_PROXY_HOPS.
+ */
+
+import { handleBeaconRequest } from '../core.js';
+
+function eventPath(event) {
+  return event.rawPath || event.path || '/';
+}
+
+function eventQuery(event) {
+  if (event.rawQueryString) return event.rawQueryString;
+  const params = new URLSearchParams();
+  const multi = event.multiValueQueryStringParameters || {};
+  for (const [name, value] of Object.entries(event.queryStringParameters || {})) {
+    for (const v of multi[name] || [value]) params.append(name, v);
+  }
+  return params.toString();
+}
+
+function eventHeaders(event) {
+  const headers = { ...(event.headers || {}) };
+  // Payload v2 moves cookies out of the headers
+  if (Array.isArray(event.cookies) && event.cookies.length) headers.cookie = event.cookies.join('; ');
+  return headers;
+}
+
+export async function handler(event) {
+  const http = (event.requestContext && event.requestContext.http) || {};
+  const query = eventQuery(event);
+  const headers = eventHeaders(event);
+  const response = await handleBeaconRequest({
+    method: http.method || event.httpMethod,
+    url: `${eventPath(event)}${query ? `?${query}` : ''}`,
+    path: eventPath(event),
+    headers,
+    body: event.body ? Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8') : undefined,
+    ip: http.sourceIp || (event.requestContext && event.requestContext.identity && event.requestContext.identity.sourceIp),
+    protocol: String(headers['X-Forwarded-Proto'] || headers['x-forwarded-proto'] || 'https'),
+  }, { proxyHops: 0 });
+
+  const { 'Set-Cookie': setCookie, ...rest } = response.headers;
+  const cookies = setCookie === undefined ? [] : [].concat(setCookie);
+  const binary = Buffer.isBuffer(response.body);
+  const result = {
+    statusCode: response.status,
+    headers: Object.fromEntries(Object.entries(rest).map(([name, value]) => [name, String(value)])),
+    body: binary ? response.body.toString('base64') : String(response.body ?? ''),
+    isBase64Encoded: binary,
+  };
+  if (cookies.length) {
+    if (event.version === '2.0') result.cookies = cookies;
+    else result.multiValueHeaders = { 'Set-Cookie': cookies };
+  }
+  return result;
+}
@@ -0,0 +1,63 @@
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+
+/*
+ * IceWheel Energy - Plain Node.js http adapter
+ *
+ * Runs the beacon without Functions Framework, e.g. in a container or on a VM:
+ *   PORT=8080 node adapters/node.js
+ * Clients are rate-limited by socket address; behind a reverse proxy, set BEACON_PROXY_HOPS.
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { handleBeaconRequest, readNodeBody } from '../core.js';
+
+// (req, res) listener for http.createServer or any server that passes IncomingMessage/ServerResponse
+export async function nodeHandler(req, res) {
+  try {
+    const response = await handleBeaconRequest({
+      method: req.method,
+      url: req.url,
+      headers: req.headers,
+      body: ['GET', 'HEAD'].includes(req.method) ? undefined : await readNodeBody(req),
+      ip: req.socket && req.socket.remoteAddress,
+      protocol: req.socket && req.socket.encrypted ? 'https' : 'http',
+    }, { proxyHops: 0 });
+    res.writeHead(response.status, response.headers);
+    res.end(req.method === 'HEAD' ? undefined : response.body);
+  } catch (err) {
+    // serve() answers its own errors; this only covers a client that went away mid-body
+    if (!res.headersSent) res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request');
+  }
+}
+
+export function createBeaconServer() {
+  return createServer(nodeHandler);
+}
+
+// npm run start:node
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT || 8080);
+  createBeaconServer().listen(port, () => {
+    console.log(`IceWheel beacon listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+/*
+ * IceWheel Energy - Command-line interface
+ *
+ * Runs the same routes as the web UI in-process, with this deployment's environment.
+ * Exit codes: 0 everything passed, 1 a region or check failed, 2 usage error.
+ */
+
+import { realpathSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { runBeaconAction, setLogWriter } from '../core.js';
+
+const USAGE = `Usage: icewheel-beacon <command> [options]
+
+Commands:
+  token      Get a partner token for each region
+  register   Register --domain with Tesla
+  verify     Check that Tesla has this beacon's active key for --domain
+  key        Print the served public key (with --json: its status)
+  doctor     Run the domain readiness checklist for --domain
+
+Options:
+  --region na,eu        Regions to use (default: na)
+  --domain <host>       Domain to register, verify or check
+  --client-id <id>      Defaults to TESLA_CLIENT_ID
+  --client-secret <s>   Defaults to TESLA_CLIENT_SECRET
+  --token <token>       Partner token, defaults to TESLA_PARTNER_TOKEN; otherwise one is requested per region
+  --scopes <list>       Scopes for token, comma-separated
+  --host <host>         Host whose key to use when BEACON_HOSTS is configured
+  --allowed-origin <u>  Allowed Origin for doctor
+  --json                Print the raw JSON result
+  -h, --help            Show this help
+`;
+
+const OPTIONS = {
+  region: { type: 'string' },
+  regions: { type: 'string' },
+  domain: { type: 'string' },
+  'client-id': { type: 'string' },
+  'client-secret': { type: 'string' },
+  token: { type: 'string' },
+  scopes: { type: 'string' },
+  host: { type: 'string' },
+  'allowed-origin': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function usageError(message) {
+  return Object.assign(new Error(message), { exitCode: 2 });
+}
+
+function list(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+// Tokens per region: an explicit token is used everywhere, otherwise one is requested per region
+async function partnerTokens(flags, regions, host) {
+  const token = flags.token || process.env.TESLA_PARTNER_TOKEN;
+  if (token) return { token };
+  const result = await requestTokens(flags, regions, host);
+  if (result.status !== 200) throw Object.assign(new Error(`Could not get a partner token: ${describeFailure(result.body.upstream || result.body)}`), { exitCode: 1 });
+  return { tokens: Object.fromEntries(Object.entries(result.body.tokens).map(([region, t]) => [region, t.access_token])) };
+}
+
+function requestTokens(flags, regions, host) {
+  const clientId = flags['client-id'] || process.env.TESLA_CLIENT_ID;
+  const clientSecret = flags['client-secret'] || process.env.TESLA_CLIENT_SECRET;
+  if (!clientId || !clientSecret) throw usageError('Set --client-id/--client-secret or TESLA_CLIENT_ID/TESLA_CLIENT_SECRET (or pass --token)');
+  return runBeaconAction('POST', '/get-token', { host, body: { clientId, clientSecret, regions, scopes: flags.scopes ? list(flags.scopes) : undefined } });
+}
+
+function describeFailure(reason) {
+  if (!reason) return 'unknown error';
+  const parts = [reason.status ? `HTTP ${reason.status}` : null, reason.code, reason.description || reason.message || reason.error];
+  return parts.filter(Boolean).join(' - ');
+}
+
+// Region results as returned by the partner routes: one line per region
+function regionLines(results, describeSuccess) {
+  return results.map((r) => (r.status === 'fulfilled'
+    ? `${r.value.region}: ok - ${describeSuccess(r.value)}`
+    : `${r.value.region}: FAILED - ${describeFailure(r.reason)}`));
+}
+
+const COMMANDS = {
+  async token(flags, { regions, host }) {
+    const result = await requestTokens(flags, regions, host);
+    const body = result.body;
+    const lines = Object.entries(body.tokens || {}).map(([region, t]) => `${region}: ${t.access_token}`);
+    for (const [region, reason] of Object.entries(body.errors || {})) lines.push(`${region}: FAILED - ${describeFailure(reason)}`);
+    if (result.status !== 200 && !body.errors) lines.push(`FAILED - ${describeFailure(body.upstream || body)}`);
+    return { ok: result.status === 200 && Object.keys(body.errors || {}).length === 0, json: body, lines };
+  },
+
+  async register(flags, { regions, host, domain }) {
+    const result = await runBeaconAction('POST', '/register', { host, body: { domain, regions, ...(await partnerTokens(flags, regions, host)) } });
+    if (result.status !== 200) return { ok: false, json: result.body, lines: [`FAILED - ${result.body.error}`] };
+    return { ok: result.body.every((r) => r.status === 'fulfilled'), json: result.body, lines: regionLines(result.body, () => `registered ${domain}`) };
+  },
+
+  // Uses the rotation check so the key Tesla has is compared with the active one, not just fetched
+  async verify(flags, { regions, host, domain }) {
+    const result = await runBeaconAction('POST', '/rotation-check', { host, body: { domain, regions, ...(await partnerTokens(flags, regions, host)) } });
+    if (result.status !== 200) return { ok: false, json: result.body, lines: [`FAILED - ${result.body.error}`] };
+    const inSync = (r) => r.status === 'fulfilled' && r.value.rotation.inSync;
+    const lines = result.body.map((r) => {
+      if (r.status === 'rejected') return `${r.value.region}: FAILED - ${describeFailure(r.reason)}`;
+      const { match, teslaPublicKey } = r.value.rotation;
+      return `${r.value.region}: ${inSync(r) ? 'ok' : 'FAILED'} - Tesla has the ${match} key${teslaPublicKey ? ` (${teslaPublicKey})` : ''}`;
+    });
+    return { ok: result.body.every(inSync), json: result.body, lines };
+  },
+
+  async key(flags, { host }) {
+    const status = await runBeaconAction('GET', '/status', { host });
+    const publicKey = status.body.publicKey || {};
+    if (flags.json) return { ok: Boolean(publicKey.valid), json: status.body };
+    const pem = await runBeaconAction('GET', '/.well-known/appspecific/com.tesla.3p.public-key.pem', { host });
+    if (pem.status !== 200) return { ok: false, lines: [`FAILED - ${pem.body.trim()}`] };
+    return { ok: true, lines: [pem.body.trim(), `# ${publicKey.source}, ${publicKey.curve}, SHA-256 ${publicKey.fingerprint}`] };
+  },
+
+  async doctor(flags, { regions, host, domain }) {
+    // Tesla's record is only checked when there is a way to get a token
+    const canAuthenticate = Boolean(flags.token || process.env.TESLA_PARTNER_TOKEN || flags['client-id'] || process.env.TESLA_CLIENT_ID);
+    const tokens = canAuthenticate ? await partnerTokens(flags, regions, host) : {};
+    const result = await runBeaconAction('POST', '/doctor', { host, body: { domain, regions, allowedOrigin: flags['allowed-origin'], ...tokens } });
+    if (result.status !== 200) return { ok: false, json: result.body, lines: [`FAILED - ${result.body.error}`] };
+    const marks = { pass: 'PASS', fail: 'FAIL', skip: 'SKIP' };
+    const lines = result.body.checks.map((c) => `${marks[c.status]}  ${c.label}${c.detail ? ` - ${c.detail}` : ''}${c.status === 'fail' && c.hint ? `\n      ${c.hint}` : ''}`);
+    return { ok: result.body.ok, json: result.body, lines };
+  },
+};
+
+// Returns the exit code; output goes through the given streams so tests can capture it
+export async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values: flags, positionals } = parsed;
+  const command = COMMANDS[positionals[0]];
+  if (flags.help || !command) {
+    (flags.help ? stdout : stderr).write(USAGE);
+    return flags.help ? 0 : 2;
+  }
+
+  // Logs go to stderr only for errors; tokens must come back to the caller, not into a session
+  process.env.BEACON_LOG_LEVEL = process.env.BEACON_LOG_LEVEL || 'ERROR';
+  delete process.env.BEACON_SESSION_MODE;
+  setLogWriter((line) => stderr.write(`${line}\n`));
+
+  const regions = list(flags.region || flags.regions);
+  const context = { regions: regions.length ? regions : ['na'], host: flags.host, domain: flags.domain };
+  try {
+    if (['register', 'verify', 'doctor'].includes(positionals[0]) && !flags.domain) throw usageError(`${positionals[0]} needs --domain`);
+    const { ok, json, lines } = await command(flags, context);
+    stdout.write(flags.json ? `${JSON.stringify(json, null, 2)}\n` : `${lines.join('\n')}\n`);
+    return ok ? 0 : 1;
+  } catch (err) {
+    stderr.write(`${err.message}\n`);
+    return err.exitCode || 1;
+  } finally {
+    setLogWriter(undefined);
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  process.exitCode = await main(process.argv.slice(2));
+}
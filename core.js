@@ -0,0 +1,2597 @@
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+// The beacon itself: routes, key resolution and the Tesla calls, with no web framework involved.
+// index.js registers it with Functions Framework; adapters/ serve it on other platforms.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { domainToASCII } from 'node:url';
+import { createCipheriv, createDecipheriv, createHash, createHmac, createPublicKey, generateKeyPairSync, randomBytes, timingSafeEqual, verify as verifySignature } from 'node:crypto';
+import fetch from 'node-fetch';
+import qrcode from 'qrcode-generator';
+
+// Where Tesla fetches the partner public key from.
+const PUBLIC_KEY_PATH = '/.well-known/appspecific/com.tesla.3p.public-key.pem';
+
+// Tesla only accepts EC keys on the P-256 curve.
+const REQUIRED_CURVE = 'prime256v1';
+
+function readConfiguredKey(host) {
+  const hosts = loadHostKeyConfig();
+  if (hosts) {
+    const name = normalizeHost(host);
+    const match = Object.prototype.hasOwnProperty.call(hosts, name) ? name : (Object.prototype.hasOwnProperty.call(hosts, '*') ? '*' : undefined);
+    if (!match) return { unknownHost: true, host: name };
+    const entry = hosts[match];
+    const next = entry && entry.next ? { ...readKeySource(entry.next, `BEACON_HOSTS[${match}].next`), activatesAt: entry.next.activatesAt } : undefined;
+    return { ...readKeySource(entry, `BEACON_HOSTS[${match}]`), host: name, next };
+  }
+
+  return { ...readSingleKey(), next: readNextKey() };
+}
+
+function readSingleKey() {
+  const candidates = [
+    ['TESLA_PUBLIC_KEY', () => normalizePem(process.env.TESLA_PUBLIC_KEY)],
+    ['TESLA_PUBLIC_KEY_BASE64', () => tryDecodeBase64(process.env.TESLA_PUBLIC_KEY_BASE64)],
+    ['TESLA_PUBLIC_KEY_FILE', () => tryReadFile(process.env.TESLA_PUBLIC_KEY_FILE)],
+  ];
+  for (const [source, read] of candidates) {
+    const pem = read();
+    if (pem) return { pem, source };
+  }
+  // Nothing configured: the key URL answers 404 and the page says how to set a key
+  return readRemoteKeyFromEnv('TESLA_PUBLIC_KEY') || {};
+}
+
+// Scheduled rotation: the next key replaces the current one at TESLA_NEXT_PUBLIC_KEY_ACTIVATES_AT.
+function readNextKey() {
+  const candidates = [
+    ['TESLA_NEXT_PUBLIC_KEY', () => normalizePem(process.env.TESLA_NEXT_PUBLIC_KEY)],
+    ['TESLA_NEXT_PUBLIC_KEY_BASE64', () => tryDecodeBase64(process.env.TESLA_NEXT_PUBLIC_KEY_BASE64)],
+    ['TESLA_NEXT_PUBLIC_KEY_FILE', () => tryReadFile(process.env.TESLA_NEXT_PUBLIC_KEY_FILE)],
+  ];
+  for (const [source, read] of candidates) {
+    const pem = read();
+    if (pem) return { pem, source, activatesAt: process.env.TESLA_NEXT_PUBLIC_KEY_ACTIVATES_AT };
+  }
+  const remote = readRemoteKeyFromEnv('TESLA_NEXT_PUBLIC_KEY');
+  return remote ? { ...remote, activatesAt: process.env.TESLA_NEXT_PUBLIC_KEY_ACTIVATES_AT } : undefined;
+}
+
+// After activation the previous key stays known (not served) so Tesla lagging behind is reported as such.
+function gracePeriodMs() {
+  const hours = Number(process.env.TESLA_KEY_GRACE_PERIOD_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : 72) * 3600 * 1000;
+}
+
+// Multi-tenant hosting: BEACON_HOSTS (JSON) or BEACON_HOSTS_FILE (path to JSON) maps
+// hostnames to key sources. "*" is the default for hosts that are not listed.
+//   { "app.example.com": { "file": "/keys/app.pem" }, "*": { "env": "TESLA_PUBLIC_KEY" } }
+function loadHostKeyConfig() {
+  const raw = process.env.BEACON_HOSTS || (process.env.BEACON_HOSTS_FILE && readFileSync(process.env.BEACON_HOSTS_FILE, 'utf8'));
+  if (!raw) return undefined;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid BEACON_HOSTS configuration: ${err.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('Invalid BEACON_HOSTS configuration: expected an object of hostname to key source');
+  return Object.fromEntries(Object.entries(parsed).map(([name, source]) => [name === '*' ? name : normalizeHost(name), source]));
+}
+
+// A key source is a PEM string or one of { pem }, { base64 }, { file }, { env }, or a remote
+// { secret }, { gcs } or { url } (see below).
+function readKeySource(entry, label) {
+  if (typeof entry === 'string') return { pem: normalizePem(entry), source: label };
+  const spec = entry || {};
+  if (spec.pem) return { pem: normalizePem(spec.pem), source: label };
+  if (spec.base64) return { pem: tryDecodeBase64(spec.base64), source: `${label}.base64` };
+  if (spec.file) return { pem: tryReadFile(spec.file), source: `${label}.file` };
+  if (spec.env) return { pem: normalizePem(process.env[spec.env]), source: spec.env };
+  const kind = REMOTE_KEY_KINDS.find((k) => spec[k]);
+  if (kind) return readRemoteKey(kind, spec[kind], `${label}.${kind}`);
+  return { source: label };
+}
+
+// Remote key sources, loaded by an adapter and cached in memory:
+//   secret  Secret Manager version name, projects/<project>/secrets/<secret>/versions/latest
+//   gcs     Cloud Storage object, gs://<bucket>/<object>
+//   url     HTTPS URL returning the PEM
+// Configured per host in BEACON_HOSTS, or with TESLA_PUBLIC_KEY_SECRET / _GCS / _URL (and TESLA_NEXT_PUBLIC_KEY_*).
+// Keys are read synchronously from the cache. preloadRemoteKeys() fills it before a request is handled; once an
+// entry is older than BEACON_KEY_CACHE_TTL_SECONDS it keeps being served while a background refresh runs, and a
+// failed refresh keeps the last good key. setKeySourceAdapter(kind, async (location) => pem) swaps an adapter,
+// e.g. for a local stand-in in tests or development.
+const REMOTE_KEY_KINDS = ['secret', 'gcs', 'url'];
+const REMOTE_KEY_RETRY_MS = 30 * 1000;
+const remoteKeyCache = new Map();
+const keySourceAdapters = {
+  secret: loadSecretManagerKey,
+  gcs: loadGcsKey,
+  url: loadUrlKey,
+};
+
+export function setKeySourceAdapter(kind, adapter) {
+  if (!REMOTE_KEY_KINDS.includes(kind)) throw new Error(`Unknown key source: ${kind}`);
+  keySourceAdapters[kind] = adapter;
+  // Entries loaded by the previous adapter are not reused
+  for (const key of remoteKeyCache.keys()) if (key.startsWith(`${kind}:`)) remoteKeyCache.delete(key);
+}
+
+function keyCacheTtlMs() {
+  const seconds = Number(process.env.BEACON_KEY_CACHE_TTL_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 300) * 1000;
+}
+
+function readRemoteKeyFromEnv(prefix) {
+  const kind = REMOTE_KEY_KINDS.find((k) => process.env[`${prefix}_${k.toUpperCase()}`]);
+  return kind ? readRemoteKey(kind, process.env[`${prefix}_${kind.toUpperCase()}`], `${prefix}_${kind.toUpperCase()}`) : undefined;
+}
+
+function readRemoteKey(kind, location, source) {
+  const entry = remoteKeyCache.get(`${kind}:${location}`);
+  if (entry && entry.expiresAt <= Date.now()) refreshRemoteKey(kind, location);
+  const loaded = { location, loadedAt: entry && entry.loadedAt, expiresAt: entry && entry.expiresAt, lastError: entry && entry.error };
+  if (!entry || !entry.pem) return { source, remote: loaded, error: entry ? `Could not load the key from ${location}: ${entry.error}` : `Key from ${location} is not loaded yet` };
+  return { pem: entry.pem, source, remote: loaded };
+}
+
+// One load per entry at a time; failures are kept on the entry, never thrown
+function refreshRemoteKey(kind, location) {
+  const cacheKey = `${kind}:${location}`;
+  const entry = remoteKeyCache.get(cacheKey) || {};
+  if (entry.refreshing) return entry.refreshing;
+  remoteKeyCache.set(cacheKey, entry);
+  entry.refreshing = (async () => {
+    try {
+      const pem = normalizePem(await keySourceAdapters[kind](location));
+      if (!pem) throw new Error('The source is empty');
+      const loadedAt = Date.now();
+      remoteKeyCache.set(cacheKey, { pem, loadedAt: new Date(loadedAt).toISOString(), expiresAt: loadedAt + keyCacheTtlMs() });
+      log(entry.pem && entry.pem !== pem ? 'WARNING' : 'INFO', entry.pem && entry.pem !== pem ? 'Remote key changed' : 'Remote key loaded', { keySource: { kind, location } });
+    } catch (err) {
+      const retryMs = entry.pem ? keyCacheTtlMs() : Math.min(keyCacheTtlMs(), REMOTE_KEY_RETRY_MS);
+      remoteKeyCache.set(cacheKey, { pem: entry.pem, loadedAt: entry.loadedAt, error: err.message, expiresAt: Date.now() + retryMs });
+      log('ERROR', 'Could not load remote key', { keySource: { kind, location }, error: err.message, servingCachedKey: Boolean(entry.pem) });
+    }
+  })();
+  return entry.refreshing;
+}
+
+// Every configured remote source, for the current and the next key
+function remoteKeySources() {
+  const sources = [];
+  const add = (spec) => {
+    const kind = spec && typeof spec === 'object' ? REMOTE_KEY_KINDS.find((k) => spec[k]) : undefined;
+    if (kind) sources.push([kind, spec[kind]]);
+  };
+  for (const prefix of ['TESLA_PUBLIC_KEY', 'TESLA_NEXT_PUBLIC_KEY']) {
+    const kind = REMOTE_KEY_KINDS.find((k) => process.env[`${prefix}_${k.toUpperCase()}`]);
+    if (kind) sources.push([kind, process.env[`${prefix}_${kind.toUpperCase()}`]]);
+  }
+  let hosts;
+  try {
+    hosts = loadHostKeyConfig();
+  } catch {
+    // Reported by resolveKeyInfo() when the route reads the key
+  }
+  for (const entry of Object.values(hosts || {})) {
+    add(entry);
+    add(entry && entry.next);
+  }
+  return sources;
+}
+
+// Waits only for sources without a usable key; stale keys are refreshed in the background by readRemoteKey()
+async function preloadRemoteKeys() {
+  const now = Date.now();
+  const missing = remoteKeySources().filter(([kind, location]) => {
+    const entry = remoteKeyCache.get(`${kind}:${location}`);
+    return !entry || (!entry.pem && (entry.refreshing || entry.expiresAt <= now));
+  });
+  await Promise.all(missing.map(([kind, location]) => refreshRemoteKey(kind, location)));
+}
+
+async function loadSecretManagerKey(name) {
+  const { SecretManagerServiceClient } = await loadOptionalModule('@google-cloud/secret-manager', 'Secret Manager key sources');
+  const [version] = await new SecretManagerServiceClient().accessSecretVersion({ name });
+  return version.payload.data.toString('utf8');
+}
+
+async function loadGcsKey(location) {
+  const match = /^gs:\/\/([^/]+)\/(.+)$/.exec(location);
+  if (!match) throw new Error('Expected gs://<bucket>/<object>');
+  const { Storage } = await loadOptionalModule('@google-cloud/storage', 'Cloud Storage key sources');
+  const [contents] = await new Storage().bucket(match[1]).file(match[2]).download();
+  return contents.toString('utf8');
+}
+
+// HTTPS only, except for local stand-ins on localhost
+async function loadUrlKey(location) {
+  const url = new URL(location);
+  if (url.protocol !== 'https:' && !['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)) throw new Error('Key URLs must use https');
+  const { apiResponse, body } = await upstreamFetch(location, { redirect: 'follow', read: 'text' });
+  if (!apiResponse.ok) throw new Error(`HTTP ${apiResponse.status}`);
+  return body;
+}
+
+function normalizeHost(host) {
+  return String(host || '').trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+}
+
+// Resolves the configured key(s), applies any scheduled rotation and checks the active key is a P-256 public key.
+// Returns { configured, source, pem, curve, fingerprint, rotation } or { configured, source, error }.
+function resolveKeyInfo(host, now = Date.now()) {
+  const { pem, source, unknownHost, host: tenant, next, remote, error } = readConfiguredKey(host);
+  if (unknownHost) return { configured: false, unknownHost, host: tenant };
+
+  // Remote sources report load failures as an error instead of a PEM
+  const inspect = (key) => ({ ...(key.pem ? inspectConfiguredKey(key.pem, key.source) : { source: key.source, error: key.error }), remote: key.remote });
+  let active = pem || error ? inspect({ pem, source, remote, error }) : undefined;
+  const rotation = {};
+  if (next && (next.pem || next.error)) {
+    const upcoming = inspect(next);
+    const activatesAt = Date.parse(next.activatesAt);
+    if (Number.isNaN(activatesAt)) upcoming.error = upcoming.error || `Activation time is missing or invalid: ${next.activatesAt || '(unset)'}`;
+    else upcoming.activatesAt = new Date(activatesAt).toISOString();
+
+    // An invalid next key never replaces the current one.
+    if (!upcoming.error && now >= activatesAt) {
+      const graceEndsAt = activatesAt + gracePeriodMs();
+      if (active && active.pem && now < graceEndsAt) rotation.previous = { ...summarizeKey(active), graceEndsAt: new Date(graceEndsAt).toISOString() };
+      rotation.activatedAt = upcoming.activatesAt;
+      active = upcoming;
+    } else {
+      rotation.pending = summarizeKey(upcoming);
+    }
+  }
+
+  if (!active) return { configured: false, source, host: tenant, rotation };
+  const { activatesAt, ...activeKey } = active;
+  return { configured: true, host: tenant, ...activeKey, rotation };
+}
+
+function inspectConfiguredKey(pem, source) {
+  try {
+    const info = { source, ...inspectPublicKey(pem) };
+    if (info.derivedFromPrivateKey) logKeyProblemOnce(`Key from ${source} is a private key; serving the derived public key (${info.fingerprint}). Configure the public key instead.`);
+    return info;
+  } catch (err) {
+    logKeyProblemOnce(`Key from ${source} is not served: ${err.message}`);
+    return { source, error: err.message };
+  }
+}
+
+function summarizeKey(key) {
+  return { source: key.source, fingerprint: key.fingerprint, publicKeyHex: key.publicKeyHex, activatesAt: key.activatesAt, error: key.error };
+}
+
+function resolvePublicKey(host) {
+  return resolveKeyInfo(host).pem;
+}
+
+// Key problems are reported once per instance rather than on every request.
+const loggedKeyProblems = new Set();
+function logKeyProblemOnce(message) {
+  if (loggedKeyProblems.has(message)) return;
+  loggedKeyProblems.add(message);
+  log('ERROR', message);
+}
+
+function inspectPublicKey(pem) {
+  // Any private block fails closed, even when a PUBLIC KEY block comes first in the same input.
+  const privateBlock = pem.match(/-----BEGIN ([A-Z0-9 ]*PRIVATE KEY)-----[\s\S]*?-----END \1-----/);
+  if (privateBlock) return derivePublicKey(privateBlock[0], privateBlock[1]);
+
+  const label = (pem.match(/-----BEGIN ([A-Z0-9 ]+)-----/) || [])[1];
+  if (!label) throw new Error('No PEM block found');
+  if (label !== 'PUBLIC KEY') throw new Error(`Expected a PUBLIC KEY PEM block, found ${label}`);
+
+  let key;
+  try {
+    key = createPublicKey(pem);
+  } catch (err) {
+    throw new Error(`Unable to parse public key: ${err.message}`);
+  }
+  return describeTeslaKey(key);
+}
+
+// Private keys (PKCS#8, SEC1 "EC PRIVATE KEY", ...) are never served. With
+// TESLA_DERIVE_PUBLIC_KEY=true the matching public key is derived and served instead.
+function derivePublicKey(privatePem, label) {
+  if (label.startsWith('ENCRYPTED') || /Proc-Type: 4,ENCRYPTED/.test(privatePem)) {
+    throw new Error(`Refusing to serve a private key (${label}, encrypted). Configure the public key instead.`);
+  }
+  if (process.env.TESLA_DERIVE_PUBLIC_KEY !== 'true') {
+    throw new Error(`Refusing to serve a private key (${label}). Configure the matching public key, or set TESLA_DERIVE_PUBLIC_KEY=true to derive it.`);
+  }
+
+  let key;
+  try {
+    key = createPublicKey(privatePem);
+  } catch (err) {
+    throw new Error(`Unable to derive a public key from ${label}: ${err.message}`);
+  }
+  return { ...describeTeslaKey(key), derivedFromPrivateKey: true };
+}
+
+function describeTeslaKey(key) {
+  const curve = key.asymmetricKeyDetails && key.asymmetricKeyDetails.namedCurve;
+  if (key.asymmetricKeyType !== 'ec' || curve !== REQUIRED_CURVE) {
+    throw new Error(`Tesla requires an EC prime256v1 (secp256r1) key, found ${[key.asymmetricKeyType, curve].filter(Boolean).join(' ')}`);
+  }
+  return { pem: key.export({ type: 'spki', format: 'pem' }).trim(), curve, fingerprint: keyFingerprint(key), publicKeyHex: rawPublicKeyHex(key) };
+}
+
+// SHA-256 over the DER-encoded SubjectPublicKeyInfo, hex encoded
+function keyFingerprint(key) {
+  return createHash('sha256').update(key.export({ type: 'spki', format: 'der' })).digest('hex');
+}
+
+// Uncompressed EC point (04 || X || Y), the format Tesla returns from partner_accounts/public_key
+function rawPublicKeyHex(key) {
+  const jwk = key.export({ format: 'jwk' });
+  return Buffer.concat([Buffer.from([4]), Buffer.from(jwk.x, 'base64url'), Buffer.from(jwk.y, 'base64url')]).toString('hex');
+}
+
+// Accepts the hex point Tesla returns, or a PEM, and normalizes it to the hex point.
+function normalizeTeslaPublicKey(value) {
+  if (!value) return undefined;
+  const text = String(value).trim();
+  if (/^[0-9a-fA-F\s]+$/.test(text)) return text.replace(/\s+/g, '').toLowerCase();
+  try {
+    return rawPublicKeyHex(createPublicKey(normalizePem(text)));
+  } catch {
+    return undefined;
+  }
+}
+
+// Which of our keys does Tesla have on record for the domain?
+function compareWithConfiguredKeys(teslaValue, keyInfo) {
+  const teslaPublicKey = normalizeTeslaPublicKey(teslaValue);
+  const candidates = [
+    ['active', keyInfo],
+    ['pending', keyInfo.rotation && keyInfo.rotation.pending],
+    ['previous', keyInfo.rotation && keyInfo.rotation.previous],
+  ];
+  const found = teslaPublicKey && candidates.find(([, key]) => key && key.publicKeyHex === teslaPublicKey);
+  const match = !teslaPublicKey ? 'missing' : (found ? found[0] : 'unknown');
+  return { match, inSync: match === 'active', teslaPublicKey, fingerprint: found ? found[1].fingerprint : undefined };
+}
+
+function publicKeyStatus(info) {
+  return { host: info.host, configured: info.configured, valid: Boolean(info.pem), source: info.source, curve: info.curve, fingerprint: info.fingerprint, derivedFromPrivateKey: info.derivedFromPrivateKey, error: info.error, remote: info.remote, rotation: info.rotation };
+}
+
+// Tesla endpoints
+// Each region has its own Fleet API host (also the token audience) and auth hosts.
+const TESLA_AUTH_URL = 'https://fleet-auth.prd.vn.cloud.tesla.com/oauth2/v3/token';
+const TESLA_AUTHORIZE_URL = 'https://auth.tesla.com/oauth2/v3/authorize';
+const DEFAULT_REGIONS = {
+  na: { name: 'North America', apiUrl: 'https://fleet-api.prd.na.vn.cloud.tesla.com', authUrl: TESLA_AUTH_URL, authorizeUrl: TESLA_AUTHORIZE_URL },
+  eu: { name: 'Europe', apiUrl: 'https://fleet-api.prd.eu.vn.cloud.tesla.com', authUrl: TESLA_AUTH_URL, authorizeUrl: TESLA_AUTHORIZE_URL },
+  cn: { name: 'China', apiUrl: 'https://fleet-api.prd.cn.vn.cloud.tesla.cn', authUrl: 'https://auth.tesla.cn/oauth2/v3/token', authorizeUrl: 'https://auth.tesla.cn/oauth2/v3/authorize' },
+};
+const DEFAULT_REGION = 'na';
+
+// TESLA_REGIONS (JSON) or TESLA_REGIONS_FILE adds or overrides regions, e.g. a local mock:
+//   { "mock": { "name": "Local mock", "apiUrl": "http://localhost:4000/mock", "authUrl": "http://localhost:4000/mock/oauth2/v3/token" } }
+// Missing fields are taken from the built-in region of the same id (or NA); null removes a region.
+// TESLA_MOCK_URL then points every region at the bundled mock server (npm run mock), at <url>/<region>.
+function getRegions() {
+  const raw = process.env.TESLA_REGIONS || (process.env.TESLA_REGIONS_FILE && readFileSync(process.env.TESLA_REGIONS_FILE, 'utf8'));
+  let regions = DEFAULT_REGIONS;
+  if (raw) {
+    let overrides;
+    try {
+      overrides = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`Invalid TESLA_REGIONS configuration: ${err.message}`);
+    }
+    regions = { ...DEFAULT_REGIONS };
+    for (const [id, entry] of Object.entries(overrides || {})) {
+      if (entry === null) {
+        delete regions[id];
+        continue;
+      }
+      const base = DEFAULT_REGIONS[id] || DEFAULT_REGIONS[DEFAULT_REGION];
+      regions[id] = { ...base, name: id, ...entry };
+    }
+  }
+  const mockUrl = process.env.TESLA_MOCK_URL && process.env.TESLA_MOCK_URL.replace(/\/+$/, '');
+  if (!mockUrl) return regions;
+  return Object.fromEntries(Object.entries(regions).map(([id, region]) => [id, {
+    ...region,
+    name: `${region.name} (mock)`,
+    apiUrl: `${mockUrl}/${id}`,
+    authUrl: `${mockUrl}/${id}/oauth2/v3/token`,
+    authorizeUrl: `${mockUrl}/${id}/oauth2/v3/authorize`,
+  }]));
+}
+// Scopes offered in the UI; the default set is what the beacon has always requested.
+const TESLA_SCOPES = [
+  { id: 'openid', label: 'OpenID', default: true },
+  { id: 'offline_access', label: 'Refresh tokens', default: true },
+  { id: 'user_data', label: 'Profile', default: true },
+  { id: 'vehicle_device_data', label: 'Vehicle data', default: true },
+  { id: 'vehicle_location', label: 'Vehicle location' },
+  { id: 'vehicle_cmds', label: 'Vehicle commands', default: true },
+  { id: 'vehicle_charging_cmds', label: 'Charging commands', default: true },
+  { id: 'energy_device_data', label: 'Energy data', default: true },
+  { id: 'energy_cmds', label: 'Energy commands', default: true },
+];
+const DEFAULT_SCOPES = 'openid user_data vehicle_device_data vehicle_cmds vehicle_charging_cmds energy_device_data energy_cmds offline_access';
+
+// Accepts an array or space separated string; falls back to DEFAULT_SCOPES when empty.
+function resolveScopes(input) {
+  const requested = (Array.isArray(input) ? input : String(input || '').split(/\s+/)).map((scope) => String(scope).trim()).filter(Boolean);
+  if (requested.length === 0) return DEFAULT_SCOPES;
+  const unknown = requested.filter((scope) => !TESLA_SCOPES.some((known) => known.id === scope));
+  if (unknown.length > 0) throw httpError(400, `Unknown scope(s): ${unknown.join(', ')}`);
+  return [...new Set(requested)].join(' ');
+}
+
+// Third-party (user) sign-in routes
+const AUTH_LOGIN_PATH = '/api/tesla/fleet/auth/login';
+const AUTH_CALLBACK_PATH = '/api/tesla/fleet/auth/callback';
+const OAUTH_COOKIE = 'beacon_oauth';
+const OAUTH_TTL_SECONDS = 600;
+
+// Used when BEACON_SESSION_SECRET is unset; only valid for the lifetime of this instance.
+const EPHEMERAL_SECRET = randomBytes(32);
+
+// Structured logging: one JSON object per line, as understood by Cloud Logging.
+// Request fields (requestId, route, trace) come from the AsyncLocalStorage context set up in serve().
+// Secrets are redacted before anything is written. BEACON_LOG_LEVEL sets the minimum severity.
+const LOG_LEVELS = { DEBUG: 100, INFO: 200, WARNING: 400, ERROR: 500 };
+const requestContext = new AsyncLocalStorage();
+let logWriter;
+const SENSITIVE_KEY = /secret|token|password|authorization|cookie|assertion|^code$|code_verifier|^state$/i;
+
+function log(severity, message, fields = {}) {
+  const threshold = LOG_LEVELS[String(process.env.BEACON_LOG_LEVEL || 'INFO').toUpperCase()] || LOG_LEVELS.INFO;
+  if (LOG_LEVELS[severity] < threshold) return;
+  const context = requestContext.getStore() || {};
+  const entry = redact({ severity, message, ...context.fields, ...fields });
+  if (context.trace) entry['logging.googleapis.com/trace'] = context.trace;
+  if (logWriter) return logWriter(JSON.stringify(entry), severity);
+  (LOG_LEVELS[severity] >= LOG_LEVELS.ERROR ? console.error : console.log)(JSON.stringify(entry));
+}
+
+// Sends log lines to writer(line, severity) instead of the console, e.g. to the CLI's stderr; undefined restores the console
+export function setLogWriter(writer) {
+  logWriter = writer;
+}
+
+function redact(value, key) {
+  if (key && SENSITIVE_KEY.test(key) && value !== undefined && value !== null && value !== '') return '[REDACTED]';
+  if (typeof value === 'string') return redactString(value);
+  if (Array.isArray(value)) return value.map((item) => redact(item));
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  return value;
+}
+
+function redactString(text) {
+  return text
+    .replace(/\b(Bearer|Basic)\s+[\w\-.~+/]+=*/gi, '$1 [REDACTED]')
+    .replace(/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, '[REDACTED]')
+    .replace(/([?&](?:code|state|client_secret|access_token|refresh_token|token)=)[^&\s]+/gi, '$1[REDACTED]');
+}
+
+// Trace ID from X-Cloud-Trace-Context ("TRACE_ID/SPAN_ID;o=1") or W3C traceparent, else a random request ID.
+function traceContext(req) {
+  const headers = req.headers || {};
+  const cloudTrace = /^([0-9a-f]{32})/i.exec(String(headers['x-cloud-trace-context'] || ''));
+  const traceparent = /^[0-9a-f]{2}-([0-9a-f]{32})-/i.exec(String(headers.traceparent || ''));
+  const traceId = (cloudTrace && cloudTrace[1]) || (traceparent && traceparent[1]);
+  const project = process.env.GOOGLE_CLOUD_PROJECT || process.env.GCP_PROJECT;
+  return {
+    requestId: traceId || randomBytes(16).toString('hex'),
+    trace: traceId && project ? `projects/${project}/traces/${traceId}` : undefined,
+  };
+}
+
+// Errors with a status are safe to show to the caller; anything else becomes a generic 500.
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Helpers: unified responses
+function sendJson(res, status, body) {
+  res.status(status);
+  res.set('Content-Type', 'application/json');
+  res.send(JSON.stringify(body));
+}
+
+function sendText(res, status, body, contentType = 'text/plain; charset=utf-8') {
+  res.status(status);
+  res.set('Content-Type', contentType);
+  res.send(body);
+}
+
+// CORS: "*" while the beacon is open. Once auth is enabled only origins listed in
+// BEACON_CORS_ORIGINS (comma separated) are allowed; without it, same-origin only.
+function applyCors(req, res) {
+  const allowlist = (process.env.BEACON_CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean);
+  const origin = req.headers && req.headers.origin;
+  if (allowlist.length > 0) {
+    res.set('Vary', 'Origin');
+    if (origin && (allowlist.includes(origin) || allowlist.includes('*'))) res.set('Access-Control-Allow-Origin', origin);
+  } else if (authMethods().length === 0) {
+    res.set('Access-Control-Allow-Origin', '*');
+  }
+  res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+// Security headers on every response. API responses are never rendered as documents, so they get a CSP that
+// allows nothing; HTML pages replace it with pageCsp() and their per-response script nonce.
+// Cloud Run only serves HTTPS, so HSTS costs nothing there and browsers ignore it on plain-HTTP localhost.
+const API_CSP = "default-src 'none'; frame-ancestors 'none'; base-uri 'none'";
+
+function applySecurityHeaders(res) {
+  res.set('Content-Security-Policy', API_CSP);
+  res.set('Strict-Transport-Security', 'max-age=31536000');
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Referrer-Policy', 'no-referrer');
+  res.set('X-Frame-Options', 'DENY');
+}
+
+// Scripts need the response's nonce; styles, fonts and images only come from /assets (Bootstrap inlines its SVG icons as data: URLs)
+function pageCsp(nonce) {
+  return [
+    "default-src 'none'",
+    nonce ? `script-src 'nonce-${nonce}'` : "script-src 'none'",
+    "style-src 'self'",
+    "img-src 'self' data:",
+    "font-src 'self'",
+    "connect-src 'self'",
+    "form-action 'self'",
+    "base-uri 'none'",
+    "frame-ancestors 'none'",
+  ].join('; ');
+}
+
+function cspNonce() {
+  return randomBytes(16).toString('base64');
+}
+
+function sendHtml(res, status, html, nonce) {
+  res.set('Content-Security-Policy', pageCsp(nonce));
+  return sendText(res, status, html, 'text/html; charset=utf-8');
+}
+
+// Static assets for the UI, served by the beacon itself so the page works without a CDN (and air-gapped).
+// URLs carry the package version or a content hash, so they can be cached as immutable.
+const STATIC_CONTENT_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+};
+let staticAssets;
+
+function loadStaticAssets() {
+  if (staticAssets) return staticAssets;
+  const require = createRequire(import.meta.url);
+  const packageDir = (name) => dirname(require.resolve(`${name}/package.json`));
+  const version = (dir) => JSON.parse(readFileSync(join(dir, 'package.json'), 'utf8')).version;
+  const bootstrap = packageDir('bootstrap');
+  const icons = packageDir('bootstrap-icons');
+  const bootstrapBase = `/assets/bootstrap-${version(bootstrap)}`;
+  // The icon CSS loads its fonts from ./fonts/, so they keep their relative layout
+  const iconsBase = `/assets/bootstrap-icons-${version(icons)}`;
+  const own = (name) => {
+    const file = new URL(`./public/${name}`, import.meta.url);
+    const hash = createHash('sha256').update(readFileSync(file)).digest('hex').slice(0, 12);
+    return [`/assets/${name.replace(/(\.[a-z0-9]+)$/, `-${hash}$1`)}`, file];
+  };
+  const files = [
+    [`${bootstrapBase}/bootstrap.min.css`, join(bootstrap, 'dist/css/bootstrap.min.css')],
+    [`${bootstrapBase}/bootstrap.bundle.min.js`, join(bootstrap, 'dist/js/bootstrap.bundle.min.js')],
+    [`${iconsBase}/bootstrap-icons.min.css`, join(icons, 'font/bootstrap-icons.min.css')],
+    [`${iconsBase}/fonts/bootstrap-icons.woff2`, join(icons, 'font/fonts/bootstrap-icons.woff2')],
+    [`${iconsBase}/fonts/bootstrap-icons.woff`, join(icons, 'font/fonts/bootstrap-icons.woff')],
+    own('beacon.css'),
+    own('beacon.js'),
+  ];
+  staticAssets = {
+    files: new Map(files),
+    urls: {
+      bootstrapCss: files[0][0],
+      bootstrapJs: files[1][0],
+      iconsCss: files[2][0],
+      pageCss: files[5][0],
+      pageJs: files[6][0],
+    },
+  };
+  return staticAssets;
+}
+
+function serveStaticAsset(res, path) {
+  const file = loadStaticAssets().files.get(path);
+  if (!file) return sendText(res, 404, 'Not Found');
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  return sendText(res, 200, readFileSync(file), STATIC_CONTENT_TYPES[path.slice(path.lastIndexOf('.'))]);
+}
+
+function sendRedirect(res, location) {
+  res.status(302);
+  res.set('Location', location);
+  res.send('');
+}
+
+// Helpers: request metadata
+function getQuery(req) {
+  if (req.query && typeof req.query === 'object') return req.query;
+  return Object.fromEntries(new URL(req.url || '/', 'http://localhost').searchParams);
+}
+
+function requestOrigin(req) {
+  const headers = req.headers || {};
+  const proto = String(headers['x-forwarded-proto'] || req.protocol || 'https').split(',')[0].trim();
+  const host = String(headers['x-forwarded-host'] || headers.host || 'localhost').split(',')[0].trim();
+  return `${proto}://${host}`;
+}
+
+function parseCookies(req) {
+  const header = (req.headers && req.headers.cookie) || '';
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      cookies[name] = part.slice(idx + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+function serializeCookie(name, value, { maxAge, secure, path = '/' } = {}) {
+  let cookie = `${name}=${encodeURIComponent(value)}; Path=${path}; HttpOnly; SameSite=Lax`;
+  if (maxAge !== undefined) cookie += `; Max-Age=${maxAge}`;
+  if (secure) cookie += '; Secure';
+  return cookie;
+}
+
+// Helpers: signing and sealing with BEACON_SESSION_SECRET
+function deriveKey(purpose) {
+  return createHmac('sha256', process.env.BEACON_SESSION_SECRET || EPHEMERAL_SECRET).update(purpose).digest();
+}
+
+function signPayload(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = createHmac('sha256', deriveKey('sign')).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
+
+function verifyPayload(token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return undefined;
+  const expected = createHmac('sha256', deriveKey('sign')).update(body).digest();
+  const actual = Buffer.from(sig, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return undefined;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload && payload.exp > Date.now() ? payload : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// AES-256-GCM: iv (12) | tag (16) | ciphertext, base64url encoded
+function sealJson(value, purpose = 'seal') {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(purpose), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64url');
+}
+
+function unsealJson(sealed, purpose = 'seal') {
+  if (!sealed) return undefined;
+  try {
+    const buf = Buffer.from(String(sealed), 'base64url');
+    const decipher = createDecipheriv('aes-256-gcm', deriveKey(purpose), buf.subarray(0, 12));
+    decipher.setAuthTag(buf.subarray(12, 28));
+    return JSON.parse(Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]).toString('utf8'));
+  } catch {
+    return undefined;
+  }
+}
+
+// Session mode (BEACON_SESSION_MODE) keeps partner tokens on the server; the browser only sees metadata.
+//   cookie  tokens are sealed with AES-256-GCM into the HttpOnly beacon_session cookie
+//   store   the cookie only holds a random session id and the tokens live in the session store,
+//           in memory by default; setSessionStore({ get, set, delete }) plugs in a shared one
+const SESSION_COOKIE = 'beacon_session';
+// Browsers drop a cookie whose name, value and attributes add up to more than this, without any error
+const MAX_COOKIE_BYTES = 4096;
+
+function sessionMode() {
+  const mode = String(process.env.BEACON_SESSION_MODE || '').toLowerCase();
+  return mode === 'cookie' || mode === 'store' ? mode : undefined;
+}
+
+function createMemorySessionStore() {
+  const sessions = new Map();
+  return {
+    async get(id) {
+      const entry = sessions.get(id);
+      if (entry && entry.expiresAt > Date.now()) return entry.value;
+      sessions.delete(id);
+      return undefined;
+    },
+    async set(id, value, ttlSeconds) {
+      sessions.set(id, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    async delete(id) {
+      sessions.delete(id);
+    },
+  };
+}
+
+let sessionStore = createMemorySessionStore();
+
+export function setSessionStore(store) {
+  sessionStore = store;
+}
+
+// Returns { id?, tokens: { region: { access_token, expires_at, scope } } } without expired tokens, or undefined
+async function readSession(req) {
+  const mode = sessionMode();
+  if (!mode) return undefined;
+  const cookie = unsealJson(parseCookies(req)[SESSION_COOKIE], 'session');
+  if (!cookie) return undefined;
+  const stored = mode === 'store' ? cookie.id && (await sessionStore.get(cookie.id)) : cookie;
+  if (!stored) return undefined;
+  const tokens = Object.fromEntries(Object.entries(stored.tokens || {}).filter(([, t]) => t.expires_at > Date.now()));
+  return { id: cookie.id, tokens };
+}
+
+async function writeSession(req, res, session, issued) {
+  const tokens = { ...(session && session.tokens) };
+  for (const [region, data] of Object.entries(issued)) {
+    tokens[region] = { access_token: data.access_token, expires_at: Date.now() + (Number(data.expires_in) || 0) * 1000, scope: data.scope };
+  }
+  const maxAge = Math.max(0, ...Object.values(tokens).map((t) => Math.ceil((t.expires_at - Date.now()) / 1000)));
+  let cookie;
+  if (sessionMode() === 'store') {
+    const id = (session && session.id) || randomBytes(24).toString('base64url');
+    await sessionStore.set(id, { tokens }, maxAge);
+    cookie = sealJson({ id }, 'session');
+  } else {
+    cookie = sealJson({ tokens }, 'session');
+  }
+  const header = serializeCookie(SESSION_COOKIE, cookie, { maxAge, secure: requestOrigin(req).startsWith('https:') });
+  if (Buffer.byteLength(header) > MAX_COOKIE_BYTES) {
+    throw httpError(500, `The tokens for ${Object.keys(tokens).join(', ')} need a ${Buffer.byteLength(header)}-byte session cookie, more than the ${MAX_COOKIE_BYTES} bytes browsers keep. Set BEACON_SESSION_MODE=store to keep the tokens on the server.`);
+  }
+  res.set('Set-Cookie', header);
+  return tokens;
+}
+
+async function clearSession(req, res) {
+  const session = await readSession(req);
+  if (session && session.id) await sessionStore.delete(session.id);
+  res.set('Set-Cookie', serializeCookie(SESSION_COOKIE, '', { maxAge: 0, secure: requestOrigin(req).startsWith('https:') }));
+}
+
+// What the browser may see about a token: expiry, scopes and the non-secret JWT claims
+function tokenMetadata({ access_token: accessToken, expires_at: expiresAt, scope }) {
+  let claims = {};
+  try {
+    claims = JSON.parse(Buffer.from(String(accessToken).split('.')[1], 'base64url').toString('utf8'));
+  } catch {}
+  return { expires_at: new Date(expiresAt).toISOString(), scope, claims: { aud: claims.aud, scp: claims.scp, exp: claims.exp, iss: claims.iss } };
+}
+
+function sessionSummary(tokens) {
+  return Object.fromEntries(Object.entries(tokens).map(([region, token]) => [region, tokenMetadata(token)]));
+}
+
+// Audit history of register/verify operations, so it can be shown when a domain was registered and with which key.
+// BEACON_HISTORY picks the store:
+//   file       (default) JSON lines in BEACON_HISTORY_FILE, by default in the temp dir; per instance on Cloud Run
+//   firestore  documents in BEACON_HISTORY_COLLECTION (default beacon-history); needs @google-cloud/firestore,
+//              and a composite index on domain + at (descending) to list one domain
+//   gcs        one object per entry under BEACON_HISTORY_BUCKET/BEACON_HISTORY_PREFIX; needs @google-cloud/storage
+//   off        nothing is recorded
+// setHistoryStore({ append(entry), list({ domain, limit }) }) plugs in any other store.
+const HISTORY_LIST_LIMIT = 100;
+let customHistoryStore;
+const historyStores = new Map();
+
+export function setHistoryStore(store) {
+  customHistoryStore = store;
+}
+
+function historyStore() {
+  if (customHistoryStore) return customHistoryStore;
+  const kind = String(process.env.BEACON_HISTORY || 'file').toLowerCase();
+  if (kind === 'off') return undefined;
+  const factories = { file: createFileHistoryStore, firestore: createFirestoreHistoryStore, gcs: createGcsHistoryStore };
+  if (!factories[kind]) throw new Error(`Unknown BEACON_HISTORY store: ${kind}`);
+  const key = `${kind}:${process.env.BEACON_HISTORY_FILE || ''}:${process.env.BEACON_HISTORY_COLLECTION || ''}:${process.env.BEACON_HISTORY_BUCKET || ''}`;
+  if (!historyStores.has(key)) historyStores.set(key, factories[kind]());
+  return historyStores.get(key);
+}
+
+function createFileHistoryStore() {
+  const file = process.env.BEACON_HISTORY_FILE || join(tmpdir(), 'icewheel-beacon-history.jsonl');
+  return {
+    async append(entry) {
+      await mkdir(dirname(file), { recursive: true });
+      await appendFile(file, `${JSON.stringify(entry)}\n`);
+    },
+    async list({ domain, limit }) {
+      const text = await readFile(file, 'utf8').catch((err) => (err.code === 'ENOENT' ? '' : Promise.reject(err)));
+      // A line cut short by a crash or edited by hand is skipped, not allowed to hide the rest of the history
+      const entries = text.split('\n').filter(Boolean).flatMap((line, index) => {
+        try {
+          return [JSON.parse(line)];
+        } catch (err) {
+          log('WARNING', 'Skipping unreadable history line', { file, line: index + 1, error: err.message });
+          return [];
+        }
+      });
+      return entries.filter((e) => !domain || e.domain === domain).reverse().slice(0, limit);
+    },
+  };
+}
+
+// Optional Google Cloud clients are only loaded when a store or key source that needs them is configured
+async function loadOptionalModule(name, feature) {
+  try {
+    return await import(name);
+  } catch (err) {
+    throw new Error(`${name} is required for ${feature}; install it with npm install ${name}`);
+  }
+}
+
+function createFirestoreHistoryStore() {
+  const collection = loadOptionalModule('@google-cloud/firestore', 'the firestore history store').then(({ Firestore }) => new Firestore().collection(process.env.BEACON_HISTORY_COLLECTION || 'beacon-history'));
+  return {
+    async append(entry) {
+      await (await collection).doc(entry.id).set(entry);
+    },
+    async list({ domain, limit }) {
+      let query = await collection;
+      if (domain) query = query.where('domain', '==', domain);
+      const snapshot = await query.orderBy('at', 'desc').limit(limit).get();
+      return snapshot.docs.map((doc) => doc.data());
+    },
+  };
+}
+
+function createGcsHistoryStore() {
+  if (!process.env.BEACON_HISTORY_BUCKET) throw new Error('BEACON_HISTORY_BUCKET is required for the gcs history store');
+  const prefix = process.env.BEACON_HISTORY_PREFIX || 'beacon-history/';
+  const bucket = loadOptionalModule('@google-cloud/storage', 'the gcs history store').then(({ Storage }) => new Storage().bucket(process.env.BEACON_HISTORY_BUCKET));
+  return {
+    async append(entry) {
+      await (await bucket).file(`${prefix}${entry.at}-${entry.id}.json`).save(JSON.stringify(entry), { contentType: 'application/json', resumable: false });
+    },
+    // Object names start with the timestamp, so the newest entries sort last
+    async list({ domain, limit }) {
+      const [files] = await (await bucket).getFiles({ prefix });
+      const entries = [];
+      for (const file of files.sort((a, b) => b.name.localeCompare(a.name))) {
+        if (entries.length >= limit) break;
+        const [contents] = await file.download();
+        const entry = JSON.parse(contents.toString('utf8'));
+        if (!domain || entry.domain === domain) entries.push(entry);
+      }
+      return entries;
+    },
+  };
+}
+
+function summarizeRegionResult(operation, r) {
+  return {
+    region: r.value.region,
+    outcome: r.status === 'fulfilled' ? 'ok' : 'failed',
+    upstreamStatus: r.status === 'fulfilled' ? r.value.status : r.reason.status,
+    error: r.status === 'rejected' ? r.reason.message : undefined,
+    teslaPublicKey: r.status === 'fulfilled' && operation !== 'register' ? normalizeTeslaPublicKey(r.value.data && r.value.data.response && r.value.data.response.public_key) : undefined,
+    match: r.status === 'fulfilled' && r.value.rotation ? r.value.rotation.match : undefined,
+  };
+}
+
+// One entry per operation: outcome and upstream status per region, and the key fingerprint at the time
+async function recordHistory(operation, { domain, host, keyInfo, results, fields = {} }) {
+  let store;
+  try {
+    store = historyStore();
+    if (!store) return;
+    const context = requestContext.getStore() || {};
+    const entry = {
+      id: randomBytes(8).toString('hex'),
+      at: new Date().toISOString(),
+      operation,
+      domain,
+      host: keyInfo.host || host,
+      keyFingerprint: keyInfo.fingerprint || null,
+      ok: results.every((r) => r.status === 'fulfilled'),
+      regions: results.map((r) => summarizeRegionResult(operation, r)),
+      requestId: context.fields && context.fields.requestId,
+      ...fields,
+    };
+    await store.append(entry);
+  } catch (err) {
+    // The operation already happened; losing its history entry must not fail the request
+    log('WARNING', 'Could not record history', { operation, domain, error: err.message });
+  }
+}
+
+// Request bodies: JSON objects of at most BEACON_MAX_BODY_BYTES (default 64 KiB). A body that is not
+// empty must be sent as application/json; anything larger is answered with 413 before it is parsed.
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024;
+
+function maxBodyBytes() {
+  return Number(process.env.BEACON_MAX_BODY_BYTES) || DEFAULT_MAX_BODY_BYTES;
+}
+
+function hasJsonContentType(req) {
+  const type = String((req.headers && req.headers['content-type']) || '').split(';')[0].trim().toLowerCase();
+  return type === 'application/json' || type.endsWith('+json');
+}
+
+async function parseJson(req) {
+  const headers = req.headers || {};
+  const limit = maxBodyBytes();
+  if (Number(headers['content-length']) > limit) throw httpError(413, `Request body is larger than ${limit} bytes`);
+  let body = req.body;
+  if (body === undefined && typeof req.on === 'function') body = await readNodeBody(req);
+
+  let value;
+  if (body && typeof body === 'object' && !Buffer.isBuffer(body)) {
+    // Already parsed by the framework (or passed in-process); only a declared non-JSON type is refused
+    if (headers['content-type'] && !hasJsonContentType(req)) throw httpError(415, 'Content-Type must be application/json');
+    value = body;
+  } else {
+    const raw = Buffer.isBuffer(body) ? body : Buffer.from(body == null ? '' : String(body));
+    if (raw.length > limit) throw httpError(413, `Request body is larger than ${limit} bytes`);
+    const text = raw.toString('utf8');
+    if (!text.trim()) return {};
+    if (!hasJsonContentType(req)) throw httpError(415, 'Content-Type must be application/json');
+    try {
+      value = JSON.parse(text);
+    } catch (e) {
+      throw httpError(400, 'Invalid JSON body');
+    }
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw httpError(400, 'Request body must be a JSON object');
+  return value;
+}
+
+// Public key resolution
+function normalizePem(input) {
+  if (!input) return undefined;
+  const unescaped = String(input).replace(/\\n/g, '\n').trim();
+  return unescaped.length > 0 ? unescaped : undefined;
+}
+
+function tryDecodeBase64(input) {
+  if (!input) return undefined;
+  try {
+    const decoded = Buffer.from(input, 'base64').toString('utf8');
+    const normalized = normalizePem(decoded);
+    if (normalized && /-----BEGIN [A-Z ]+-----/.test(normalized)) return normalized;
+  } catch {}
+  return undefined;
+}
+
+function tryReadFile(path) {
+  if (!path) return undefined;
+  try {
+    return normalizePem(readFileSync(path, 'utf8'));
+  } catch {
+    return undefined;
+  }
+}
+
+// Simple HTML UI (Bootstrap)
+function renderIndexHtml(keyInfo, nonce) {
+  const publicKey = keyInfo.pem;
+  let keyBlock;
+  if (publicKey) {
+    keyBlock = `<pre id="publicKey" class="small border rounded p-3 bg-light pre-wrap">${escapeHtml(publicKey)}</pre>
+            ${keyInfo.derivedFromPrivateKey ? `<div class="alert alert-warning py-2"><i class="bi bi-exclamation-triangle"></i> <strong>${escapeHtml(keyInfo.source)} contains a private key.</strong> Only the derived public key is served. Remove the private key from this deployment and configure the public key instead.</div>` : ''}
+            <div class="text-muted text-xs">${keyInfo.host ? `Host: <code>${escapeHtml(keyInfo.host)}</code> &middot; ` : ''}Curve: <code>${escapeHtml(keyInfo.curve)}</code> &middot; Source: <code>${escapeHtml(keyInfo.source)}</code>${renderKeyLoadInfo(keyInfo.remote)}<br/>SHA-256 fingerprint: <code id="keyFingerprint">${escapeHtml(keyInfo.fingerprint)}</code></div>`;
+  } else if (keyInfo.error) {
+    keyBlock = `<div class="alert alert-danger"><strong>The configured public key (${escapeHtml(keyInfo.source)}) is not being served.</strong><br/>${escapeHtml(keyInfo.error)}</div>`;
+  } else {
+    keyBlock = `<div class="alert alert-warning">Public key not configured. Set <code>TESLA_PUBLIC_KEY</code> (or another key source) and redeploy.</div>`;
+  }
+  const rotationBlock = renderRotationBlock(keyInfo.rotation || {});
+
+  const regions = getRegions();
+  const curlRegion = regions[DEFAULT_REGION] || Object.values(regions)[0] || DEFAULT_REGIONS[DEFAULT_REGION];
+  const curlCommand = buildTokenCurl(curlRegion.authUrl, curlRegion.apiUrl, DEFAULT_SCOPES);
+  const session = sessionMode();
+  const assets = loadStaticAssets().urls;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Icewheel Energy Key Beacon</title>
+  <link href="${assets.bootstrapCss}" rel="stylesheet" />
+  <link href="${assets.iconsCss}" rel="stylesheet" />
+  <link href="${assets.pageCss}" rel="stylesheet" />
+</head>
+<body data-session-mode="${escapeHtml(session || '')}">
+  <div class="container">
+    <div class="text-center mb-4">
+      <h1><i class="bi bi-lightning-charge-fill"></i> Icewheel Energy Key Beacon</h1>
+      <p class="lead text-muted">A minimal web app to host your Tesla public key and interact with the Fleet API.</p>
+      ${process.env.TESLA_MOCK_URL ? `<div class="alert alert-warning py-2"><i class="bi bi-cone-striped"></i> Mock mode: every Tesla call goes to <code>${escapeHtml(process.env.TESLA_MOCK_URL)}</code>, not Tesla.</div>` : ''}
+    </div>
+
+    <div class="row justify-content-center">
+      <div class="col-lg-9">
+
+        <!-- Public Key -->
+        <div class="card my-4">
+          <div class="card-header"><strong><i class="bi bi-key"></i> 1. Your Public Key</strong></div>
+          <div class="card-body">
+            ${keyBlock}
+            ${rotationBlock}
+            ${publicKey ? `
+            <div class="d-flex justify-content-between align-items-center mt-2">
+              <a href="${PUBLIC_KEY_PATH}" target="_blank" class="btn btn-outline-success btn-sm">
+                <i class="bi bi-box-arrow-up-right"></i> Verify Key URL
+              </a>
+              <button id="copyKeyBtn" class="btn btn-outline-secondary btn-sm">
+                <i class="bi bi-clipboard"></i> Copy
+              </button>
+            </div>` : ''}
+          </div>
+        </div>
+
+        <!-- App Config -->
+        <div class="card mb-4">
+          <div class="card-header"><strong><i class="bi bi-gear"></i> 2. Important: Tesla App Configuration</strong></div>
+          <div class="card-body">
+            <p>In your Tesla Developer account, you must configure your app with the following URLs. The values are generated based on the current domain.</p>
+            <label class="form-label mt-2"><strong>Allowed Origin(s)</strong></label>
+            <div class="input-group mb-2"><input type="text" class="form-control" id="originLocal" value="http://localhost:8081" readonly /><button class="btn btn-outline-secondary" type="button" id="copyOriginLocalBtn"><i class="bi bi-clipboard"></i> Copy</button></div>
+            <div class="input-group mb-3"><input type="text" class="form-control" id="originCurrent" readonly /><button class="btn btn-outline-secondary" type="button" id="copyOriginCurrentBtn"><i class="bi bi-clipboard"></i> Copy</button></div>
+            <label class="form-label"><strong>Allowed Redirect URI(s)</strong></label>
+            <div class="input-group mb-2"><input type="text" class="form-control" id="redirectLocal" value="http://localhost:8081/api/tesla/fleet/auth/callback" readonly /><button class="btn btn-outline-secondary" type="button" id="copyRedirectLocalBtn"><i class="bi bi-clipboard"></i> Copy</button></div>
+            <div class="input-group mb-3"><input type="text" class="form-control" id="redirectCurrent" readonly /><button class="btn btn-outline-secondary" type="button" id="copyRedirectCurrentBtn"><i class="bi bi-clipboard"></i> Copy</button></div>
+            <label class="form-label"><strong>Allowed Returned URL(s)</strong></label>
+            <div class="input-group mb-2"><input type="text" class="form-control" id="returnedLocal" value="http://localhost:8081" readonly /><button class="btn btn-outline-secondary" type="button" id="copyReturnedLocalBtn"><i class="bi bi-clipboard"></i> Copy</button></div>
+            <div class="input-group"><input type="text" class="form-control" id="returnedCurrent" readonly /><button class="btn btn-outline-secondary" type="button" id="copyReturnedCurrentBtn"><i class="bi bi-clipboard"></i> Copy</button></div>
+          </div>
+        </div>
+
+        <!-- Get Token -->
+        <div class="card mb-4">
+          <div class="card-header"><strong><i class="bi bi-shield-lock"></i> 3. Partner Authentication Token</strong></div>
+          <div class="card-body">
+            <form id="tokenForm" class="row g-3">
+              <div class="col-md-6">
+                <label class="form-label">Client ID</label>
+                <input type="text" class="form-control" id="clientId" placeholder="YOUR_CLIENT_ID" autocomplete="username" />
+              </div>
+              <div class="col-md-6">
+                <label class="form-label">Client Secret</label>
+                <input type="password" class="form-control" id="clientSecret" placeholder="YOUR_CLIENT_SECRET" autocomplete="current-password" />
+              </div>
+              <div class="col-12 d-flex align-items-center flex-wrap">
+                <div class="me-3"><strong>Scopes:</strong></div>
+                ${renderScopeChecks()}
+              </div>
+              <div class="col-12 d-flex align-items-center flex-wrap">
+                <div class="me-3"><strong>Audience regions:</strong></div>
+                ${renderRegionChecks(regions, 'token')}
+              </div>
+              <div class="col-12">
+                <button class="btn btn-primary" type="submit"><i class="bi bi-key"></i> Generate Token</button>
+                <button class="btn btn-outline-dark ms-2" type="button" id="signInBtn" title="Test end-user consent with the Authorization Code flow"><i class="bi bi-person-check"></i> Sign in with Tesla</button>
+                <span id="tokenError" class="text-danger ms-3"></span>
+              </div>
+              <div class="col-12">
+                ${session ? `<input type="hidden" id="partnerToken" value="" />
+                <label class="form-label mt-2">Partner Access Tokens</label>
+                <div class="d-flex align-items-center"><span class="text-muted me-auto">Kept on the server in ${session === 'store' ? 'the session store' : 'an encrypted HttpOnly cookie'}; this page only sees their expiry and scopes.</span><button class="btn btn-outline-secondary btn-sm" type="button" id="logoutBtn"><i class="bi bi-box-arrow-right"></i> Clear session</button></div>` : `<label class="form-label mt-2">Partner Access Token</label>
+                <input type="text" class="form-control" id="partnerToken" placeholder="Paste or generate token here" />`}
+                <div id="tokenRegions" class="form-text"></div>
+                <div id="tokenSummary" class="mt-2"></div>
+              </div>
+            </form>
+            <div class="accordion mt-4" id="curlAccordion">
+              <div class="accordion-item">
+                <h2 class="accordion-header" id="curlHeading"><button class="accordion-button collapsed" type="button" data-bs-toggle="collapse" data-bs-target="#collapseCurl">Show cURL Command</button></h2>
+                <div id="collapseCurl" class="accordion-collapse collapse" aria-labelledby="curlHeading"><div class="accordion-body"><p>You can generate a partner token directly using the command line.</p><pre class="bg-light p-3 rounded small"><code id="curlCommand">${escapeHtml(curlCommand)}</code></pre></div></div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <!-- Domain -->
+        <div class="card mb-4">
+          <div class="card-header"><strong><i class="bi bi-globe"></i> 4. Domain</strong></div>
+          <div class="card-body"><div class="mb-3"><label for="domainInput" class="form-label">Your Registered Domain</label><input type="text" class="form-control" id="domainInput" placeholder="example.com" /></div></div>
+        </div>
+
+        <!-- Actions -->
+        <div class="card mb-4">
+          <div class="card-header"><strong><i class="bi bi-wrench-adjustable-circle"></i> 5. Actions</strong></div>
+          <div class="card-body">
+            <form id="registerForm" class="mb-4">
+              <p class="mb-2">Register your domain with Tesla in one or more regions.</p>
+              <div class="d-flex align-items-center">
+                <div class="me-3"><strong>Regions:</strong></div>
+                ${renderRegionChecks(regions, 'register')}
+                <button class="btn btn-warning ms-auto" type="submit"><i class="bi bi-upload"></i> Register</button>
+              </div>
+              <span id="registerError" class="text-danger d-block mt-2"></span>
+            </form>
+            <hr/>
+            <form id="verifyForm" class="mt-4">
+              <p class="mb-2">Verify that your domain is correctly registered.</p>
+              <div class="d-flex align-items-center">
+                <div class="me-3"><strong>Regions:</strong></div>
+                ${renderRegionChecks(regions, 'verify')}
+                <button class="btn btn-success ms-auto" type="submit"><i class="bi bi-search"></i> Verify</button>
+                <button class="btn btn-outline-primary ms-2" type="button" id="rotationCheckBtn" title="Compare the key Tesla has on record with the active and upcoming keys"><i class="bi bi-arrow-left-right"></i> Compare Keys</button>
+              </div>
+              <span id="verifyError" class="text-danger d-block mt-2"></span>
+            </form>
+            <hr/>
+            <form id="accountForm" class="mt-4">
+              <p class="mb-2">Inspect your partner account. To move hosts, register the new domain above; registering again replaces the previous registration.</p>
+              <div class="d-flex align-items-center flex-wrap">
+                <div class="me-3"><strong>Regions:</strong></div>
+                ${renderRegionChecks(regions, 'account')}
+                <div class="ms-auto">
+                  <button class="btn btn-outline-secondary" type="button" data-account-action="/telemetry-errors"><i class="bi bi-exclamation-diamond"></i> Telemetry Errors</button>
+                  <button class="btn btn-outline-secondary ms-2" type="button" data-account-action="/telemetry-error-vins"><i class="bi bi-car-front"></i> Error VINs</button>
+                </div>
+              </div>
+              <span id="accountError" class="text-danger d-block mt-2"></span>
+            </form>
+            <div id="results" class="mt-3"></div>
+          </div>
+        </div>
+
+        <!-- Doctor -->
+        <div class="card mb-4">
+          <div class="card-header"><strong><i class="bi bi-clipboard2-pulse"></i> 6. Domain Doctor</strong></div>
+          <div class="card-body">
+            <form id="doctorForm">
+              <p class="mb-2">Check everything Tesla needs before registration: the public key URL as seen from the internet, the Allowed Origin, and the key Tesla has on record in each region. Uses the domain and token above.</p>
+              <div class="d-flex align-items-center flex-wrap">
+                <div class="me-3"><strong>Regions:</strong></div>
+                ${renderRegionChecks(regions, 'doctor')}
+                <button class="btn btn-info ms-auto" type="submit"><i class="bi bi-clipboard2-pulse"></i> Run Checks</button>
+              </div>
+              <span id="doctorError" class="text-danger d-block mt-2"></span>
+            </form>
+            <ul id="doctorResults" class="list-group mt-3"></ul>
+          </div>
+        </div>
+
+        <!-- History -->
+        <div class="card mb-4">
+          <div class="card-header"><strong><i class="bi bi-clock-history"></i> 7. History</strong></div>
+          <div class="card-body">
+            <form id="historyForm" class="d-flex align-items-center">
+              <p class="mb-0 me-auto">Every register and verify, with the outcome per region and the key fingerprint at the time. Filters by the domain above when it is set.</p>
+              <button class="btn btn-outline-secondary ms-3" type="submit"><i class="bi bi-arrow-clockwise"></i> Load History</button>
+            </form>
+            <span id="historyError" class="text-danger d-block mt-2"></span>
+            <div id="historyResults" class="mt-3"></div>
+          </div>
+        </div>
+
+        <!-- Vehicles and energy sites -->
+        <div class="card mb-4">
+          <div class="card-header"><strong><i class="bi bi-car-front"></i> 8. Vehicles and Energy Sites</strong></div>
+          <div class="card-body">
+            <form id="fleetForm">
+              <p class="mb-2">Check what a Tesla account can reach with this app and whether the virtual key is paired. These calls need the user access token from <strong>Sign in with Tesla</strong>; a partner token cannot see vehicles.</p>
+              <label class="form-label" for="userToken">User Access Token</label>
+              <input type="password" class="form-control mb-2" id="userToken" placeholder="Paste the access token from Sign in with Tesla" autocomplete="off" />
+              <label class="form-label" for="vinsInput">VINs for pairing status</label>
+              <input type="text" class="form-control mb-2" id="vinsInput" placeholder="Comma-separated; filled in by List Vehicles" />
+              <div class="d-flex align-items-center flex-wrap">
+                <div class="me-3"><strong>Regions:</strong></div>
+                ${renderRegionChecks(regions, 'fleet')}
+                <div class="ms-auto">
+                  <button class="btn btn-outline-primary" type="button" data-fleet-action="/vehicles"><i class="bi bi-car-front"></i> List Vehicles</button>
+                  <button class="btn btn-outline-primary ms-2" type="button" data-fleet-action="/products"><i class="bi bi-lightning"></i> List Products</button>
+                  <button class="btn btn-outline-success ms-2" type="button" data-fleet-action="/fleet-status"><i class="bi bi-key"></i> Pairing Status</button>
+                </div>
+              </div>
+              <span id="fleetError" class="text-danger d-block mt-2"></span>
+            </form>
+            <div id="fleetSummary" class="mt-3"></div>
+            <div id="fleetResults" class="mt-3"></div>
+          </div>
+        </div>
+
+        <!-- Virtual key pairing -->
+        <div class="card mb-4">
+          <div class="card-header"><strong><i class="bi bi-qr-code"></i> 9. Virtual Key Pairing</strong></div>
+          <div class="card-body">
+            <form id="pairingForm" class="d-flex align-items-center">
+              <p class="mb-0 me-auto">Vehicle owners add this app's key by opening the pairing link for the domain above on a phone with the Tesla app installed. Scan the QR code or share the link.</p>
+              <button class="btn btn-outline-secondary ms-3" type="submit"><i class="bi bi-qr-code"></i> Generate Link</button>
+            </form>
+            <span id="pairingError" class="text-danger d-block mt-2"></span>
+            <div id="pairingResult" class="mt-3 d-none">
+              <div class="input-group mb-3"><input type="text" class="form-control" id="pairingUrl" readonly /><button class="btn btn-outline-secondary" type="button" id="copyPairingBtn"><i class="bi bi-clipboard"></i> Copy</button><a class="btn btn-outline-success" id="pairingOpen" target="_blank" rel="noopener noreferrer"><i class="bi bi-box-arrow-up-right"></i> Open</a></div>
+              <div id="pairingQr" class="pairing-qr border rounded p-2"></div>
+            </div>
+          </div>
+        </div>
+
+      </div>
+    </div>
+
+    <footer class="pt-4 pb-3">
+        <hr />
+        <div class="alert alert-info mt-4"><h5 class="alert-heading"><i class="bi bi-shield-check"></i> Security and Data Privacy</h5><p>This application acts as a secure backend proxy to communicate with the Tesla Fleet API. When you enter your credentials (Client ID and Secret), they are sent directly to this server, which then uses them to obtain a partner token from Tesla. <strong>Your credentials are not stored on this server and are only used for the duration of the API request.</strong> ${session ? 'Partner tokens stay on this server and are never sent to your browser.' : 'The partner token is shown here so you can copy it; set <code>BEACON_SESSION_MODE</code> to keep it on the server instead.'}</p><hr><p class="mb-0">All API calls to Tesla are made from this server, not from your browser. This is a security best practice that helps protect your credentials.</p></div>
+        <div class="text-center text-muted mt-4"><small>Copyright &copy; 2025 Icewheel LLC. All Rights Reserved.<span class="mx-2">&middot;</span><a href="https://github.com/icewheel-oss/icewheel-energy-key-beacon/" target="_blank" rel="noopener noreferrer" class="text-muted text-decoration-none">GitHub</a></small></div>
+    </footer>
+
+  </div>
+
+  <script src="${assets.bootstrapJs}" nonce="${nonce}"></script>
+  <script src="${assets.pageJs}" nonce="${nonce}"></script>
+</body>
+</html>`;
+}
+
+// Remote key sources: where the key came from and when it was loaded; local sources are read on every request
+function renderKeyLoadInfo(remote) {
+  if (!remote) return ' &middot; Read on every request';
+  return `<br/>Loaded from <code>${escapeHtml(remote.location)}</code> at ${escapeHtml(remote.loadedAt)}, refreshed after ${escapeHtml(new Date(remote.expiresAt).toISOString())}`
+    + (remote.lastError ? `<div class="text-danger">Last refresh failed, serving the cached key: ${escapeHtml(remote.lastError)}</div>` : '');
+}
+
+function renderRotationBlock({ pending, previous, activatedAt }) {
+  let html = '';
+  if (activatedAt) {
+    html += `<div class="text-muted text-xs mt-1">Active since ${escapeHtml(activatedAt)} (scheduled rotation).</div>`;
+  }
+  if (pending) {
+    html += pending.error
+      ? `<div class="alert alert-danger py-2 mt-3 mb-0"><strong>Upcoming key (${escapeHtml(pending.source)}) will not be activated:</strong> ${escapeHtml(pending.error)}</div>`
+      : `<div class="alert alert-info py-2 mt-3 mb-0"><i class="bi bi-arrow-repeat"></i> <strong>Upcoming key</strong> from <code>${escapeHtml(pending.source)}</code> activates at ${escapeHtml(pending.activatesAt)} (<span data-countdown="${escapeHtml(pending.activatesAt)}">scheduled</span>).<br/><span class="text-xs">SHA-256 fingerprint: <code>${escapeHtml(pending.fingerprint)}</code></span></div>`;
+  }
+  if (previous) {
+    html += `<div class="alert alert-secondary py-2 mt-3 mb-0"><i class="bi bi-clock-history"></i> <strong>Previous key</strong> (no longer served) is still recognised until ${escapeHtml(previous.graceEndsAt)} (<span data-countdown="${escapeHtml(previous.graceEndsAt)}">grace period</span>).<br/><span class="text-xs">SHA-256 fingerprint: <code>${escapeHtml(previous.fingerprint)}</code></span></div>`;
+  }
+  return html;
+}
+
+// Kept in step with buildTokenCurl() in the page script, which rebuilds it as the picker changes
+function buildTokenCurl(authUrl, audience, scope) {
+  return `curl -X POST "${authUrl}" \\\n` +
+    `-H "Content-Type: application/x-www-form-urlencoded" \\\n` +
+    `-d "grant_type=client_credentials" \\\n` +
+    `-d "client_id=YOUR_CLIENT_ID" \\\n` +
+    `-d "client_secret=YOUR_CLIENT_SECRET" \\\n` +
+    `-d "scope=${scope}" \\\n` +
+    `-d "audience=${audience}"`;
+}
+
+function renderScopeChecks() {
+  const defaults = DEFAULT_SCOPES.split(' ');
+  return TESLA_SCOPES.map(({ id, label }) => `<div class="form-check form-check-inline"><input class="form-check-input scope-check" type="checkbox" value="${escapeHtml(id)}" id="scope-${escapeHtml(id)}"${defaults.includes(id) ? ' checked' : ''} /><label class="form-check-label" for="scope-${escapeHtml(id)}" title="${escapeHtml(id)}">${escapeHtml(label)}</label></div>`).join('\n                ');
+}
+
+// Region checkboxes built from the region registry; the default region starts checked
+function renderRegionChecks(regions, prefix) {
+  return Object.entries(regions).map(([id, region]) => {
+    const inputId = `${prefix}Region-${id}`;
+    return `<div class="form-check form-check-inline"><input class="form-check-input region-check" type="checkbox" value="${escapeHtml(id)}" id="${escapeHtml(inputId)}" data-auth-url="${escapeHtml(region.authUrl)}" data-audience="${escapeHtml(region.apiUrl)}"${id === DEFAULT_REGION ? ' checked' : ''} /><label class="form-check-label" for="${escapeHtml(inputId)}">${escapeHtml(region.name || id)}</label></div>`;
+  }).join('\n                ');
+}
+
+// Result page for the Sign in with Tesla flow
+function renderCallbackHtml({ tokens, error }) {
+  const field = (label, value) => value === undefined ? '' : `
+            <label class="form-label mt-3"><strong>${escapeHtml(label)}</strong></label>
+            <textarea class="form-control font-monospace small" rows="${String(value).length > 120 ? 5 : 1}" readonly>${escapeHtml(value)}</textarea>`;
+
+  const content = error
+    ? `<div class="alert alert-danger mb-0"><i class="bi bi-x-circle"></i> ${escapeHtml(error)}</div>`
+    : `<div class="alert alert-success"><i class="bi bi-check-circle"></i> Authorization succeeded. These tokens belong to the user who signed in; treat them like passwords. Paste the access token into <strong>Vehicles and Energy Sites</strong> to check what this account can reach.</div>
+            ${field('Access Token', tokens.access_token)}
+            ${field('Refresh Token', tokens.refresh_token)}
+            ${field('ID Token', tokens.id_token)}
+            ${field('Expires In (seconds)', tokens.expires_in)}
+            ${field('Token Type', tokens.token_type)}`;
+  const assets = loadStaticAssets().urls;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Icewheel Energy Key Beacon - Sign in with Tesla</title>
+  <link href="${assets.bootstrapCss}" rel="stylesheet" />
+  <link href="${assets.iconsCss}" rel="stylesheet" />
+</head>
+<body class="py-4">
+  <div class="container">
+    <div class="row justify-content-center">
+      <div class="col-lg-9">
+        <div class="card">
+          <div class="card-header"><strong><i class="bi bi-person-check"></i> Sign in with Tesla</strong></div>
+          <div class="card-body">
+            ${content}
+            <a href="/" class="btn btn-outline-secondary btn-sm mt-3"><i class="bi bi-arrow-left"></i> Back</a>
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>\"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Vehicle and energy readiness routes. They need a user's access token (from Sign in with Tesla), not a partner
+// token, and take { userToken, regions, vins? }. Results are per region, as for the partner account routes.
+const USER_DATA_ROUTES = {
+  '/vehicles': {
+    method: 'GET',
+    url: (baseUrl) => `${baseUrl}/api/1/vehicles`,
+  },
+  '/products': {
+    method: 'GET',
+    url: (baseUrl) => `${baseUrl}/api/1/products`,
+  },
+  // key_paired_vins lists the vehicles that have this app's virtual key
+  '/fleet-status': {
+    method: 'POST',
+    requiresVins: true,
+    url: (baseUrl) => `${baseUrl}/api/1/vehicles/fleet_status`,
+    body: ({ vins }) => ({ vins }),
+  },
+};
+
+// Virtual key pairing: opened on a phone with the Tesla app, this link adds the domain's key to a vehicle
+function pairingLink(domain) {
+  return `https://tesla.com/_ak/${domain}`;
+}
+
+function renderQrSvg(text) {
+  const qr = qrcode(0, 'M');
+  qr.addData(text);
+  qr.make();
+  return qr.createSvgTag({ cellSize: 4, margin: 4, scalable: true });
+}
+
+// partner_accounts endpoints, each exposed as a POST route taking { domain, token, regions }.
+// Tesla has no endpoint to delete a registration; registering again replaces it.
+const PARTNER_ACCOUNT_ROUTES = {
+  '/register': {
+    method: 'POST',
+    requiresDomain: true,
+    history: 'register',
+    url: (baseUrl) => `${baseUrl}/api/1/partner_accounts`,
+    body: ({ domain }) => ({ domain }),
+  },
+  '/verify': {
+    method: 'GET',
+    requiresDomain: true,
+    history: 'verify',
+    url: (baseUrl, { domain }) => `${baseUrl}/api/1/partner_accounts/public_key?domain=${encodeURIComponent(domain)}`,
+  },
+  '/telemetry-errors': {
+    method: 'GET',
+    url: (baseUrl) => `${baseUrl}/api/1/partner_accounts/fleet_telemetry_errors`,
+  },
+  '/telemetry-error-vins': {
+    method: 'GET',
+    url: (baseUrl) => `${baseUrl}/api/1/partner_accounts/fleet_telemetry_error_vins`,
+  },
+};
+
+// Upstream failures carry what is needed to act on them:
+//   { region, method, url, status, code, description, body, retriable, attempts, durationMs }
+// `status` is Tesla's HTTP status (null when no response arrived); `code`/`description` come from Tesla's
+// error/error_description. Routes return this detail unchanged, per region or as `upstream` on the error body.
+function upstreamError(message, detail) {
+  return Object.assign(new Error(message), { status: 502, upstream: detail });
+}
+
+function upstreamErrorFromResponse(message, { region, method, url, apiResponse, data, attempts, durationMs }) {
+  return upstreamError(message, {
+    region,
+    method,
+    url,
+    status: apiResponse.status,
+    code: data.error || data.code || null,
+    description: data.error_description || data.msg || data.message || null,
+    body: data,
+    retriable: isRetriableStatus(apiResponse.status),
+    attempts,
+    durationMs,
+  });
+}
+
+// All outbound HTTP goes through here: per-attempt timeout, bounded retries with backoff on 429/5xx/network
+// errors (honouring Retry-After), a circuit breaker per region, and logging of upstream status and latency.
+// Resolves to { apiResponse, attempts, durationMs }; rejects with an upstreamError when no response arrived.
+function upstreamSettings() {
+  const number = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    timeoutMs: number('BEACON_UPSTREAM_TIMEOUT_MS', 10000),
+    retries: number('BEACON_UPSTREAM_RETRIES', 2),
+    backoffMs: number('BEACON_UPSTREAM_BACKOFF_MS', 500),
+    maxDelayMs: number('BEACON_UPSTREAM_MAX_DELAY_MS', 10000),
+    circuitThreshold: number('BEACON_CIRCUIT_THRESHOLD', 5),
+    circuitCooldownMs: number('BEACON_CIRCUIT_COOLDOWN_SECONDS', 30) * 1000,
+  };
+}
+
+// region -> { failures, openUntil }; kept per instance
+const circuits = new Map();
+
+function isRetriableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function retryDelayMs(apiResponse, attempt, settings) {
+  const header = apiResponse && apiResponse.headers && apiResponse.headers.get && apiResponse.headers.get('retry-after');
+  if (header) {
+    const seconds = Number(header);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+    if (Number.isFinite(delay)) return Math.min(Math.max(delay, 0), settings.maxDelayMs);
+  }
+  const exponential = settings.backoffMs * 2 ** (attempt - 1);
+  return Math.min(exponential / 2 + Math.random() * (exponential / 2), settings.maxDelayMs);
+}
+
+// `read` ('json' or 'text') reads the body under the same timer, so a region that sends headers and then stalls cannot hang the request.
+// Unparseable JSON reads as {} so error responses still surface their status.
+function fetchWithTimeout(url, options, timeoutMs, read) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${timeoutMs} ms`));
+    }, timeoutMs);
+  });
+  const request = (async () => {
+    const apiResponse = await fetch(url, { ...options, signal: controller.signal });
+    if (!read) return { apiResponse };
+    return { apiResponse, body: read === 'json' ? await apiResponse.json().catch(() => ({})) : await apiResponse.text() };
+  })();
+  return Promise.race([request, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function upstreamFetch(url, options = {}, fields = {}) {
+  const settings = upstreamSettings();
+  // logUrl replaces the URL in logs and errors when the URL itself is a secret (e.g. a webhook)
+  const { timeoutMs = settings.timeoutMs, retries = settings.retries, logUrl = url, read, ...fetchOptions } = options;
+  const method = fetchOptions.method || 'GET';
+  const region = fields.region;
+  const circuit = region ? circuits.get(region) || { failures: 0, openUntil: 0 } : null;
+  const started = Date.now();
+
+  if (circuit && circuit.openUntil > started) {
+    log('WARNING', 'Upstream circuit open', { ...fields, upstream: { method, url: logUrl, retryAt: new Date(circuit.openUntil).toISOString() } });
+    const retryAt = new Date(circuit.openUntil).toISOString();
+    throw upstreamError(`Circuit open for ${region}: too many recent upstream failures, retry after ${retryAt}`, {
+      region, method, url: logUrl, status: null, code: 'circuit_open', description: `Calls to ${region} are paused until ${retryAt}`, retriable: true, attempts: 0, durationMs: 0,
+    });
+  }
+
+  let attempt = 0;
+  for (;;) {
+    attempt += 1;
+    const attemptStarted = Date.now();
+    let apiResponse;
+    let body;
+    let failure;
+    try {
+      ({ apiResponse, body } = await fetchWithTimeout(url, fetchOptions, timeoutMs, read));
+      log(apiResponse.ok ? 'INFO' : 'WARNING', 'Upstream response', { ...fields, upstream: { method, url: logUrl, status: apiResponse.status, attempt, latencyMs: Date.now() - attemptStarted } });
+    } catch (err) {
+      failure = err;
+      log('WARNING', 'Upstream request failed', { ...fields, upstream: { method, url: logUrl, error: err.message, attempt, latencyMs: Date.now() - attemptStarted } });
+    }
+
+    const retriable = failure || isRetriableStatus(apiResponse.status);
+    if (retriable && attempt <= retries) {
+      await new Promise((resolve) => setTimeout(resolve, retryDelayMs(apiResponse, attempt, settings)));
+      continue;
+    }
+
+    const durationMs = Date.now() - started;
+    if (circuit) {
+      circuit.failures = retriable ? circuit.failures + 1 : 0;
+      if (retriable && settings.circuitThreshold > 0 && circuit.failures >= settings.circuitThreshold) {
+        circuit.openUntil = Date.now() + settings.circuitCooldownMs;
+        circuit.failures = 0;
+        log('ERROR', 'Upstream circuit opened', { ...fields, cooldownMs: settings.circuitCooldownMs });
+      }
+      circuits.set(region, circuit);
+    }
+    if (failure) {
+      const message = region ? `Network error for ${region}: ${failure.message}` : failure.message;
+      const code = failure.message.startsWith('Timed out') ? 'timeout' : 'network_error';
+      throw upstreamError(message, { region, method, url: logUrl, status: null, code, description: failure.message, retriable: true, attempts: attempt, durationMs });
+    }
+    return { apiResponse, body, attempts: attempt, durationMs };
+  }
+}
+
+// Partner tokens: `tokens` maps region to the token issued for its audience; `token` is used for the rest.
+function partnerTokenFor(body, region) {
+  return (body.tokens && typeof body.tokens === 'object' && body.tokens[region]) || body.token;
+}
+
+function hasPartnerToken(body) {
+  return Boolean(body.token) || Boolean(body.tokens && typeof body.tokens === 'object' && Object.values(body.tokens).some(Boolean));
+}
+
+async function requestPartnerToken(region, regionInfo, clientId, clientSecret, scope = DEFAULT_SCOPES) {
+  const params = new URLSearchParams({ grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret, scope, audience: regionInfo.apiUrl });
+  const { apiResponse, body: data, attempts, durationMs } = await upstreamFetch(regionInfo.authUrl, { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: params, read: 'json' }, { region });
+  if (!apiResponse.ok) {
+    throw upstreamErrorFromResponse(`Token error for ${region}: ${data.error || 'Failed to get token'}`, { region, method: 'POST', url: regionInfo.authUrl, apiResponse, data, attempts, durationMs });
+  }
+  return { region, data, url: regionInfo.authUrl, attempts, durationMs };
+}
+
+// Tesla Fleet API calls, fanned out per region with Promise.allSettled
+async function teslaRequest(region, url, { method = 'GET', token, body } = {}) {
+  const { apiResponse, body: data, attempts, durationMs } = await upstreamFetch(url, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+    read: 'json',
+  }, { region });
+  if (!apiResponse.ok) {
+    throw upstreamErrorFromResponse(`API error for ${region}: ${data.error || data.msg || 'Unknown'}`, { region, method, url, apiResponse, data, attempts, durationMs });
+  }
+  return { region, data, url, status: apiResponse.status, attempts, durationMs };
+}
+
+async function fanOutRegions(regions, call) {
+  const registry = getRegions();
+  const promises = regions.map(async (region) => {
+    if (!Object.prototype.hasOwnProperty.call(registry, region)) throw new Error(`Invalid region: ${region}`);
+    return call(region, registry[region].apiUrl, registry[region]);
+  });
+  const results = await Promise.allSettled(promises);
+  const formatted = results.map((r, i) => {
+    if (r.status === 'fulfilled') return { status: 'fulfilled', value: { ...r.value, region: regions[i] } };
+    const reason = describeError(r.reason, regions[i]);
+    return { status: 'rejected', reason, value: { region: regions[i], attempts: reason.attempts, durationMs: reason.durationMs } };
+  });
+  log(formatted.every((r) => r.status === 'fulfilled') ? 'INFO' : 'WARNING', 'Region fan-out', {
+    regions: formatted.map((r) => ({ region: r.value.region, outcome: r.status, attempts: r.value.attempts, durationMs: r.value.durationMs, error: r.reason && r.reason.message, upstreamStatus: r.reason && r.reason.status })),
+  });
+  return formatted;
+}
+
+// The error shape used in region results: { message, region, ...upstream detail }.
+function describeError(err, region) {
+  const detail = err.upstream || { region, status: null, code: null, description: null, retriable: false };
+  return { message: err.message, ...detail, region };
+}
+
+// Compares the key Tesla has on record for a domain with our active, pending and previous keys (rotation check and monitor)
+function checkRegistration(domain, regions, tokenFor, keyInfo) {
+  const verify = PARTNER_ACCOUNT_ROUTES['/verify'];
+  return fanOutRegions(regions, async (region, baseUrl) => {
+    const result = await teslaRequest(region, verify.url(baseUrl, { domain }), { token: tokenFor(region) });
+    const recorded = result.data && result.data.response && result.data.response.public_key;
+    return { ...result, rotation: compareWithConfiguredKeys(recorded, keyInfo) };
+  });
+}
+
+// Domain doctor: end-to-end readiness checks for a domain, as Tesla would see it.
+// Each check is { id, label, status: 'pass' | 'fail' | 'skip', detail, hint }.
+async function runDoctor(body, host) {
+  const checks = [];
+  const add = (id, label, status, detail, hint) => checks.push({ id, label, status, detail, hint });
+  const checked = checkDomain(body.domain || '');
+  if (checked.error) {
+    // Nothing is fetched for a domain that is not a bare hostname: the key URL is built from it
+    add('domain', 'Domain is a bare hostname', 'fail', `${String(body.domain || '').trim()} ${checked.error}`, 'Enter only the host name, e.g. example.com: no scheme, port, path, trailing dot or IP address.');
+    return { domain: String(body.domain || '').trim(), ok: false, checks };
+  }
+  const domain = checked.value;
+  add('domain', 'Domain is a bare hostname', 'pass', domain);
+
+  if (body.allowedOrigin) {
+    let originHost;
+    try {
+      originHost = new URL(body.allowedOrigin).hostname;
+    } catch {}
+    const matches = Boolean(originHost) && originHost.toLowerCase() === domain.toLowerCase();
+    add('origin', 'Domain matches the Allowed Origin', matches ? 'pass' : 'fail', `Allowed Origin: ${body.allowedOrigin}`, 'Tesla only registers the domain of an Allowed Origin configured for your app in the Tesla Developer portal.');
+  } else {
+    add('origin', 'Domain matches the Allowed Origin', 'skip', 'No Allowed Origin given');
+  }
+
+  // Fetch the key URL from the outside, the way Tesla does
+  const keyUrl = `https://${domain}${PUBLIC_KEY_PATH}`;
+  let served;
+  try {
+    // Tesla does not follow redirects, so neither does the doctor: a redirect fails the check and goes nowhere else
+    const { apiResponse, body: text } = await upstreamFetch(keyUrl, { redirect: 'manual', retries: 0, read: 'text' });
+    const header = (name) => (apiResponse.headers && apiResponse.headers.get && apiResponse.headers.get(name)) || '';
+    const contentType = header('content-type');
+    if (apiResponse.status >= 300 && apiResponse.status < 400) {
+      add('https', 'Public key URL resolves over HTTPS', 'fail', `${keyUrl} → HTTP ${apiResponse.status} redirect to ${header('location') || '(no Location header)'}`, 'Tesla does not follow redirects. Serve the PEM at this exact URL, e.g. exempt /.well-known/ from any www or path redirect.');
+    } else {
+      add('https', 'Public key URL resolves over HTTPS', apiResponse.ok ? 'pass' : 'fail', `${keyUrl} → HTTP ${apiResponse.status}`, 'Deploy the beacon (or another host) so this URL returns your PEM with status 200 over a trusted certificate.');
+    }
+    if (apiResponse.ok) {
+      const pemType = /application\/x-pem-file|text\/plain/i.test(contentType);
+      add('content-type', 'Served with a PEM content type', pemType ? 'pass' : 'fail', contentType || '(none)', 'Serve the key as application/x-pem-file; an HTML content type usually means a catch-all page is answering instead.');
+      try {
+        served = inspectPublicKey(normalizePem(text) || '');
+        add('key-format', 'Served key is an EC prime256v1 public key', 'pass', `SHA-256 fingerprint: ${served.fingerprint}`);
+      } catch (err) {
+        add('key-format', 'Served key is an EC prime256v1 public key', 'fail', err.message, 'Generate a P-256 key pair and publish only the public key.');
+      }
+    }
+  } catch (err) {
+    add('https', 'Public key URL resolves over HTTPS', 'fail', `${keyUrl}: ${err.message}`, 'Check DNS, the domain mapping and the TLS certificate for this domain.');
+  }
+
+  const expected = resolveKeyInfo(domain || host);
+  if (served && expected.pem) {
+    const same = served.fingerprint === expected.fingerprint;
+    add('key-match', 'Served key matches this beacon\'s key', same ? 'pass' : 'fail', `Served ${served.fingerprint}, beacon ${expected.fingerprint}`, 'The domain is serving a different key than this beacon: check that the domain points here and that no cache or CDN holds an old key.');
+  } else {
+    add('key-match', 'Served key matches this beacon\'s key', 'skip', expected.error || (served ? 'This beacon has no valid key for the domain' : 'The served key could not be read'));
+  }
+
+  const regions = Array.isArray(body.regions) ? body.regions : [];
+  if (!hasPartnerToken(body) || regions.length === 0) {
+    add('tesla', 'Tesla has the key on record', 'skip', 'Provide a partner token and at least one region');
+  } else {
+    const verify = PARTNER_ACCOUNT_ROUTES['/verify'];
+    const results = await fanOutRegions(regions, (region, baseUrl) => teslaRequest(region, verify.url(baseUrl, { domain }), { token: partnerTokenFor(body, region) }));
+    for (const r of results) {
+      const region = r.value.region;
+      if (r.status === 'rejected') {
+        add(`tesla-${region}`, `Tesla (${region}) has the key on record`, 'fail', r.reason.message, 'Register the domain in this region, and check the token was issued for this region\'s audience.');
+        continue;
+      }
+      const recorded = normalizeTeslaPublicKey(r.value.data && r.value.data.response && r.value.data.response.public_key);
+      const reference = served || expected;
+      const same = Boolean(recorded) && Boolean(reference.publicKeyHex) && recorded === reference.publicKeyHex;
+      add(`tesla-${region}`, `Tesla (${region}) has the key on record`, same ? 'pass' : 'fail', recorded ? `Tesla key: ${recorded}` : 'Tesla returned no key', 'Register the domain again so Tesla fetches the current key.');
+    }
+  }
+
+  return { domain, ok: checks.every((c) => c.status !== 'fail'), checks };
+}
+
+// Registration monitor, meant for Cloud Scheduler: POST /monitor checks every configured domain in every
+// configured region and posts an alert to a webhook when a result changes or a first run finds a problem.
+//   BEACON_MONITOR_DOMAINS         comma-separated domains (default: the hosts in BEACON_HOSTS)
+//   BEACON_MONITOR_REGIONS         comma-separated regions (default: na)
+//   BEACON_MONITOR_WEBHOOK_URL     where alerts are posted; no alerts are sent without it
+//   BEACON_MONITOR_WEBHOOK_FORMAT  slack, discord or json (default: from the webhook host, otherwise json)
+// Partner tokens come from TESLA_CLIENT_ID and TESLA_CLIENT_SECRET.
+const monitorStates = new Map();
+
+function monitorSettings() {
+  const list = (value) => String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+  const hosts = loadHostKeyConfig();
+  const domains = list(process.env.BEACON_MONITOR_DOMAINS);
+  const regions = list(process.env.BEACON_MONITOR_REGIONS);
+  return {
+    domains: domains.length ? domains : Object.keys(hosts || {}).filter((name) => name !== '*'),
+    regions: regions.length ? regions : [DEFAULT_REGION],
+    clientId: process.env.TESLA_CLIENT_ID,
+    clientSecret: process.env.TESLA_CLIENT_SECRET,
+    webhookUrl: process.env.BEACON_MONITOR_WEBHOOK_URL,
+    webhookFormat: String(process.env.BEACON_MONITOR_WEBHOOK_FORMAT || '').toLowerCase(),
+  };
+}
+
+// A region's result as one comparable string: the same state on two runs means nothing changed
+function monitorState(region) {
+  if (region.outcome === 'failed') return `failed:${region.upstreamStatus || 'error'}`;
+  return `${region.match}:${region.teslaPublicKey || ''}`;
+}
+
+function describeMonitorRegion(domain, region) {
+  const where = `${domain} (${region.region})`;
+  if (region.outcome === 'failed') return `${where}: check failed - ${region.error}`;
+  if (region.match === 'active') return `${where}: Tesla has the active key`;
+  if (region.match === 'missing') return `${where}: Tesla has no key on record`;
+  if (region.match === 'unknown') return `${where}: Tesla has a key this beacon does not know (${region.teslaPublicKey})`;
+  return `${where}: Tesla still has the ${region.match} key, register the domain again`;
+}
+
+// Previous states survive restarts through the history store's latest monitor entry whose alerts were
+// delivered; a run whose webhook failed is skipped, so its alerts are sent again.
+async function previousMonitorStates(domain) {
+  const states = new Map();
+  for (const [key, state] of monitorStates) if (key.startsWith(`${domain}|`)) states.set(key, state);
+  if (states.size > 0) return states;
+  const store = historyStore();
+  if (!store) return states;
+  try {
+    const entries = await store.list({ domain, limit: HISTORY_LIST_LIMIT });
+    const last = entries.find((e) => e.operation === 'monitor' && e.delivered === true);
+    for (const region of (last && last.regions) || []) states.set(`${domain}|${region.region}`, monitorState(region));
+  } catch (err) {
+    log('WARNING', 'Could not read monitor history', { domain, error: err.message });
+  }
+  return states;
+}
+
+function webhookPayload(format, report) {
+  const text = [`Icewheel beacon monitor: ${report.alerts.length} change(s) at ${report.checkedAt}`, ...report.alerts.map((a) => `- ${a.message}`)].join('\n');
+  if (format === 'slack') return { text };
+  if (format === 'discord') return { content: text.slice(0, 2000) };
+  return { event: 'beacon.monitor', checkedAt: report.checkedAt, ok: report.ok, alerts: report.alerts, domains: report.domains };
+}
+
+async function sendMonitorWebhook(settings, report) {
+  const url = settings.webhookUrl;
+  const host = new URL(url).hostname;
+  const format = settings.webhookFormat || (host === 'hooks.slack.com' ? 'slack' : /(^|\.)discord(app)?\.com$/.test(host) ? 'discord' : 'json');
+  const { apiResponse } = await upstreamFetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(webhookPayload(format, report)),
+    logUrl: `${new URL(url).origin}/…`,
+  });
+  if (!apiResponse.ok) throw new Error(`Webhook returned HTTP ${apiResponse.status}`);
+}
+
+async function runMonitor(host) {
+  const settings = monitorSettings();
+  if (settings.domains.length === 0) throw httpError(400, 'No domains to monitor: set BEACON_MONITOR_DOMAINS or BEACON_HOSTS');
+  if (!settings.clientId || !settings.clientSecret) throw httpError(400, 'TESLA_CLIENT_ID and TESLA_CLIENT_SECRET are required for the monitor');
+
+  // A region whose token request failed reports that failure for every domain
+  const tokenResults = await fanOutRegions(settings.regions, (region, apiUrl, regionInfo) => requestPartnerToken(region, regionInfo, settings.clientId, settings.clientSecret));
+  const tokens = Object.fromEntries(tokenResults.filter((r) => r.status === 'fulfilled').map((r) => [r.value.region, r.value.data.access_token]));
+  const tokenFailures = tokenResults.filter((r) => r.status === 'rejected');
+
+  const checkedAt = new Date().toISOString();
+  const domains = [];
+  const alerts = [];
+  const nextStates = new Map();
+  const runs = [];
+  for (const domain of settings.domains) {
+    const keyInfo = resolveKeyInfo(domain);
+    const checked = keyInfo.pem ? await checkRegistration(domain, Object.keys(tokens), (region) => tokens[region], keyInfo) : [];
+    const results = keyInfo.pem ? [...checked, ...tokenFailures] : settings.regions.map((region) => ({
+      status: 'rejected',
+      reason: { message: keyInfo.unknownHost ? `No key is configured for ${domain}` : `Configured key is not usable: ${keyInfo.error || 'not set'}` },
+      value: { region },
+    }));
+    const previous = await previousMonitorStates(domain);
+    runs.push({ domain, host, keyInfo, results });
+
+    const regions = results.map((r) => summarizeRegionResult('monitor', r));
+    for (const region of regions) {
+      const key = `${domain}|${region.region}`;
+      const state = monitorState(region);
+      const healthy = region.outcome === 'ok' && region.match === 'active';
+      region.healthy = healthy;
+      nextStates.set(key, state);
+      const before = previous.get(key);
+      if (before === undefined ? !healthy : before !== state) {
+        alerts.push({ domain, region: region.region, previous: before || null, current: state, message: describeMonitorRegion(domain, region) });
+      }
+    }
+    domains.push({ domain, fingerprint: keyInfo.fingerprint || null, regions });
+  }
+
+  const report = { ok: domains.every((d) => d.regions.every((r) => r.healthy)), checkedAt, domains, alerts, notified: false };
+  if (alerts.length > 0 && settings.webhookUrl) {
+    try {
+      await sendMonitorWebhook(settings, report);
+      report.notified = true;
+    } catch (err) {
+      log('ERROR', 'Monitor webhook failed', { error: err.message, alerts: alerts.length });
+      report.webhookError = err.message;
+    }
+  }
+  // Recorded only now, so history knows whether this run's alerts went out
+  const delivered = !report.webhookError;
+  for (const run of runs) await recordHistory('monitor', { ...run, fields: { delivered } });
+  // Keep the old states after a failed webhook so the next run alerts again
+  if (!delivered) return report;
+  for (const [key, state] of nextStates) monitorStates.set(key, state);
+  log(report.ok ? 'INFO' : 'WARNING', 'Monitor run', { domains: domains.length, alerts: alerts.length, notified: report.notified });
+  return report;
+}
+
+// Per-IP rate limit: BEACON_RATE_LIMIT requests (default 60) per BEACON_RATE_LIMIT_WINDOW_SECONDS (default 60)
+// on every route except the anonymous ones Tesla and probes use. 0 turns it off. Counters are kept per instance.
+const RATE_LIMIT_MAX_CLIENTS = 10000;
+
+// `proxyHops` is the deployment's default for BEACON_PROXY_HOPS: 1 behind Google's front end, 0 for adapters
+// that get the peer address from the socket or the platform.
+function rateLimitSettings(proxyHops) {
+  const number = (name, fallback) => {
+    const value = Number(process.env[name] === '' ? undefined : process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    limit: number('BEACON_RATE_LIMIT', 60),
+    windowMs: (number('BEACON_RATE_LIMIT_WINDOW_SECONDS', 60) || 60) * 1000,
+    proxyHops: Math.floor(number('BEACON_PROXY_HOPS', proxyHops)),
+  };
+}
+
+// ip -> { count, resetAt }
+const rateLimits = new Map();
+
+// Each proxy appends the address it saw to X-Forwarded-For, so only the last BEACON_PROXY_HOPS entries are trusted:
+// 1 on Cloud Run (Google's front end), 2 behind an external Application Load Balancer. Earlier entries are client-supplied.
+// With 0 hops, or fewer entries than hops, the header is ignored and the peer address (req.ip) is used.
+function clientIp(req, proxyHops) {
+  const forwarded = String((req.headers && req.headers['x-forwarded-for']) || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (proxyHops > 0 && forwarded.length >= proxyHops) return forwarded[forwarded.length - proxyHops];
+  return req.ip || undefined;
+}
+
+// Resolves to undefined when the request may go ahead, otherwise the seconds until the window resets
+function rateLimited(req, defaultProxyHops) {
+  const { limit, windowMs, proxyHops } = rateLimitSettings(defaultProxyHops);
+  const ip = clientIp(req, proxyHops);
+  if (limit === 0 || !ip) return undefined;
+  const now = Date.now();
+  if (rateLimits.size >= RATE_LIMIT_MAX_CLIENTS) {
+    for (const [key, entry] of rateLimits) if (entry.resetAt <= now) rateLimits.delete(key);
+    if (rateLimits.size >= RATE_LIMIT_MAX_CLIENTS) rateLimits.clear();
+  }
+  let entry = rateLimits.get(ip);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    rateLimits.set(ip, entry);
+  }
+  entry.count += 1;
+  if (entry.count <= limit) return undefined;
+  if (entry.count === limit + 1) log('WARNING', 'Rate limit exceeded', { remoteIp: ip, limit, windowSeconds: windowMs / 1000 });
+  return Math.ceil((entry.resetAt - now) / 1000);
+}
+
+// Admin authentication. Each method is enabled by its configuration; with none configured the beacon stays open.
+//   token            Authorization: Bearer <BEACON_ADMIN_TOKEN>
+//   basic            Authorization: Basic matching BEACON_BASIC_AUTH ("user:password")
+//   iap              X-Goog-IAP-JWT-Assertion signed by Google IAP for BEACON_IAP_AUDIENCE
+//   google-id-token  Authorization: Bearer <Google ID token> for BEACON_ID_TOKEN_AUDIENCE (e.g. Cloud Run invoker)
+// BEACON_ALLOWED_EMAILS optionally restricts the identities accepted from iap/google-id-token.
+const GOOGLE_IAP_JWKS_URL = 'https://www.gstatic.com/iap/verify/public_key-jwk';
+const GOOGLE_OAUTH_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const JWKS_CACHE_MS = 3600 * 1000;
+const jwksCache = new Map();
+
+function authMethods() {
+  const methods = [];
+  if (process.env.BEACON_ADMIN_TOKEN) methods.push('token');
+  if (process.env.BEACON_BASIC_AUTH) methods.push('basic');
+  if (process.env.BEACON_IAP_AUDIENCE) methods.push('iap');
+  if (process.env.BEACON_ID_TOKEN_AUDIENCE) methods.push('google-id-token');
+  return methods;
+}
+
+function safeEqual(a, b) {
+  const digest = (v) => createHash('sha256').update(String(v)).digest();
+  return timingSafeEqual(digest(a), digest(b));
+}
+
+// Resolves to { method, principal } for an authenticated request, otherwise undefined.
+async function authenticate(req) {
+  const methods = authMethods();
+  const headers = req.headers || {};
+  const authorization = String(headers.authorization || '');
+  const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : '';
+
+  if (methods.includes('token') && bearer && safeEqual(bearer, process.env.BEACON_ADMIN_TOKEN)) return { method: 'token', principal: 'admin' };
+  if (methods.includes('basic') && authorization.startsWith('Basic ')) {
+    const credentials = Buffer.from(authorization.slice(6).trim(), 'base64').toString('utf8');
+    if (safeEqual(credentials, process.env.BEACON_BASIC_AUTH)) return { method: 'basic', principal: credentials.split(':')[0] };
+  }
+  if (methods.includes('iap') && headers['x-goog-iap-jwt-assertion']) {
+    const claims = await verifyGoogleJwt(headers['x-goog-iap-jwt-assertion'], { jwksUrl: GOOGLE_IAP_JWKS_URL, audience: process.env.BEACON_IAP_AUDIENCE, issuers: ['https://cloud.google.com/iap'] });
+    if (claims && isAllowedEmail(claims.email)) return { method: 'iap', principal: claims.email || claims.sub };
+  }
+  if (methods.includes('google-id-token') && bearer) {
+    const claims = await verifyGoogleJwt(bearer, { jwksUrl: GOOGLE_OAUTH_JWKS_URL, audience: process.env.BEACON_ID_TOKEN_AUDIENCE, issuers: ['https://accounts.google.com', 'accounts.google.com'] });
+    if (claims && isAllowedEmail(claims.email)) return { method: 'google-id-token', principal: claims.email || claims.sub };
+  }
+  return undefined;
+}
+
+function isAllowedEmail(email) {
+  const allowed = (process.env.BEACON_ALLOWED_EMAILS || '').split(',').map((e) => e.trim().toLowerCase()).filter(Boolean);
+  return allowed.length === 0 || (Boolean(email) && allowed.includes(String(email).toLowerCase()));
+}
+
+function sendUnauthorized(res, asJson) {
+  if (authMethods().includes('basic')) res.set('WWW-Authenticate', 'Basic realm="Icewheel Energy Key Beacon", charset="UTF-8"');
+  return asJson ? sendJson(res, 401, { error: 'Unauthorized' }) : sendText(res, 401, 'Unauthorized');
+}
+
+async function fetchJwks(url) {
+  const cached = jwksCache.get(url);
+  if (cached && cached.expiresAt > Date.now()) return cached.keys;
+  const { apiResponse, body } = await upstreamFetch(url, { read: 'json' });
+  if (!apiResponse.ok) throw new Error(`Unable to fetch signing keys from ${url}`);
+  const { keys = [] } = body;
+  jwksCache.set(url, { keys, expiresAt: Date.now() + JWKS_CACHE_MS });
+  return keys;
+}
+
+// Verifies an ES256/RS256 JWT against Google's published keys. Returns the claims or undefined.
+async function verifyGoogleJwt(token, { jwksUrl, audience, issuers }) {
+  try {
+    const [encodedHeader, encodedPayload, encodedSignature] = String(token).split('.');
+    const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (header.alg !== 'ES256' && header.alg !== 'RS256') return undefined;
+
+    const jwk = (await fetchJwks(jwksUrl)).find((k) => k.kid === header.kid);
+    if (!jwk) return undefined;
+    const key = createPublicKey({ key: jwk, format: 'jwk' });
+    const signed = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    const valid = header.alg === 'ES256'
+      ? verifySignature('sha256', signed, { key, dsaEncoding: 'ieee-p1363' }, signature)
+      : verifySignature('sha256', signed, key, signature);
+    if (!valid) return undefined;
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!(claims.exp > now - 60) || (claims.iat && claims.iat > now + 60)) return undefined;
+    if (!audiences.includes(audience) || !issuers.includes(claims.iss)) return undefined;
+    return claims;
+  } catch {
+    return undefined;
+  }
+}
+
+// Generates a fresh P-256 key pair. Nothing is stored; the caller keeps the private key.
+// Only available when admin auth is enabled; the auth gate in beacon() has already run.
+function handleGenerateKey(req, res) {
+  if (authMethods().length === 0) return sendText(res, 404, 'Not Found');
+
+  const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: REQUIRED_CURVE });
+  res.set('Cache-Control', 'no-store');
+  return sendJson(res, 200, {
+    curve: REQUIRED_CURVE,
+    fingerprint: keyFingerprint(publicKey),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'sec1', format: 'pem' }),
+  });
+}
+
+// Sign in with Tesla: authorization-code flow with PKCE. The verifier and client
+// credentials travel in a sealed HttpOnly cookie; `state` is signed and bound to it.
+function handleAuthLogin(req, res, body) {
+  const clientId = body.clientId || process.env.TESLA_CLIENT_ID;
+  const clientSecret = body.clientSecret || process.env.TESLA_CLIENT_SECRET;
+  if (!clientId || !clientSecret) return sendJson(res, 400, { error: 'clientId and clientSecret are required' });
+  const query = getQuery(req);
+  const region = body.region || query.region || DEFAULT_REGION;
+  const scope = resolveScopes(body.scopes || query.scope);
+  const regionInfo = getRegions()[region];
+  if (!regionInfo) return sendJson(res, 400, { error: `Invalid region: ${region}` });
+
+  const origin = requestOrigin(req);
+  const redirectUri = origin + AUTH_CALLBACK_PATH;
+  const verifier = randomBytes(32).toString('base64url');
+  const nonce = randomBytes(16).toString('base64url');
+  const exp = Date.now() + OAUTH_TTL_SECONDS * 1000;
+
+  const authorizeUrl = `${regionInfo.authorizeUrl}?${new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state: signPayload({ n: nonce, exp }),
+    code_challenge: createHash('sha256').update(verifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  })}`;
+
+  const flow = sealJson({ n: nonce, exp, verifier, clientId, clientSecret, redirectUri, region });
+  res.set('Set-Cookie', serializeCookie(OAUTH_COOKIE, flow, { maxAge: OAUTH_TTL_SECONDS, secure: origin.startsWith('https:'), path: AUTH_CALLBACK_PATH }));
+  res.set('Cache-Control', 'no-store');
+  return req.method === 'GET' ? sendRedirect(res, authorizeUrl) : sendJson(res, 200, { authorizeUrl });
+}
+
+async function handleAuthCallback(req, res) {
+  const query = getQuery(req);
+  res.set('Set-Cookie', serializeCookie(OAUTH_COOKIE, '', { maxAge: 0, path: AUTH_CALLBACK_PATH }));
+  res.set('Cache-Control', 'no-store');
+  if (query.error) return sendHtml(res, 400, renderCallbackHtml({ error: query.error_description || query.error }));
+
+  const state = verifyPayload(query.state);
+  const flow = unsealJson(parseCookies(req)[OAUTH_COOKIE]);
+  if (!state || !flow || flow.n !== state.n || flow.exp < Date.now()) {
+    return sendHtml(res, 400, renderCallbackHtml({ error: 'Invalid or expired state. Start the sign-in again.' }));
+  }
+  if (!query.code) return sendHtml(res, 400, renderCallbackHtml({ error: 'Missing authorization code' }));
+  const regionInfo = getRegions()[flow.region || DEFAULT_REGION];
+  if (!regionInfo) return sendHtml(res, 400, renderCallbackHtml({ error: `Region is no longer configured: ${flow.region}` }));
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    client_id: flow.clientId,
+    client_secret: flow.clientSecret,
+    code: query.code,
+    code_verifier: flow.verifier,
+    redirect_uri: flow.redirectUri,
+    audience: regionInfo.apiUrl,
+  });
+  // Authorization codes are single-use, so the exchange is never retried
+  const { apiResponse, body: data } = await upstreamFetch(regionInfo.authUrl, { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: params, retries: 0, read: 'json' }, { region: flow.region });
+  if (!apiResponse.ok) {
+    const detail = [data.error, data.error_description].filter(Boolean).join(': ') || 'Token exchange failed';
+    return sendHtml(res, 502, renderCallbackHtml({ error: `Tesla returned HTTP ${apiResponse.status} from ${regionInfo.authUrl}: ${detail}` }));
+  }
+  return sendHtml(res, 200, renderCallbackHtml({ tokens: data }));
+}
+
+// Route table: the method check (405 with Allow), body validation and the OpenAPI document are all built from it.
+// Routes match like the handlers in handleRequest: `exact`, `prefix`, or by default a path suffix.
+// `anonymous` routes are served before the admin auth gate; `body` and `query` describe the inputs.
+// `partnerToken` routes need `token` or `tokens` (or a session); `missing` is the error when only required fields are absent.
+const REGIONS_SCHEMA = { type: 'array', items: { type: 'string', format: 'region' }, minItems: 1, maxItems: 20, description: 'Region ids, e.g. ["na", "eu"]' };
+// Where regions are optional, an empty list means the same as leaving them out
+const OPTIONAL_REGIONS_SCHEMA = { type: 'array', items: REGIONS_SCHEMA.items, maxItems: REGIONS_SCHEMA.maxItems };
+const DOMAIN_SCHEMA = { type: 'string', format: 'hostname', description: 'Bare hostname, e.g. example.com. Internationalized names are converted to punycode' };
+const TOKEN_SCHEMA = { type: 'string', format: 'token' };
+const PARTNER_TOKEN_PROPERTIES = {
+  token: { ...TOKEN_SCHEMA, description: 'Partner token used for every region' },
+  tokens: { type: 'object', propertyNames: { format: 'region' }, additionalProperties: TOKEN_SCHEMA, description: 'Partner token per region, as issued by /get-token. Taken from the session when omitted' },
+};
+// Unknown scopes are reported by resolveScopes, which lists them all in one message
+const SCOPES_SCHEMA = { type: 'array', items: { type: 'string' }, description: `Any of ${TESLA_SCOPES.map((scope) => scope.id).join(', ')}` };
+
+const API_ROUTES = [
+  { path: PUBLIC_KEY_PATH, match: 'exact', methods: ['GET'], anonymous: true, summary: 'The active public key, as Tesla downloads it', produces: 'application/x-pem-file' },
+  { path: '/healthz', match: 'exact', methods: ['GET'], anonymous: true, summary: 'Liveness probe for Cloud Run' },
+  { path: '/status', match: 'exact', methods: ['GET'], anonymous: true, summary: 'Public key status for this host' },
+  { path: '/api/v1/status', match: 'exact', methods: ['GET'], anonymous: true, summary: 'Version, public key status and regions' },
+  { path: '/api/v1/openapi.json', match: 'exact', methods: ['GET'], summary: 'This OpenAPI document' },
+  { path: '/assets/', match: 'prefix', methods: ['GET'], anonymous: true, summary: 'Versioned UI assets (CSS, JavaScript, fonts)', produces: 'application/octet-stream' },
+  { path: '/', match: 'exact', methods: ['GET'], summary: 'Web UI', produces: 'text/html' },
+  { path: '/index.html', methods: ['GET'], summary: 'Web UI', produces: 'text/html' },
+  {
+    path: AUTH_LOGIN_PATH,
+    methods: ['GET', 'POST'],
+    summary: 'Start Sign in with Tesla. GET redirects with the configured client; POST returns { authorizeUrl }',
+    query: { region: { type: 'string' }, scope: { type: 'string' } },
+    body: { properties: { clientId: { type: 'string' }, clientSecret: { type: 'string' }, region: { type: 'string', format: 'region' }, scopes: SCOPES_SCHEMA } },
+  },
+  { path: AUTH_CALLBACK_PATH, methods: ['GET'], summary: 'Sign in with Tesla callback. No admin auth: it needs the flow cookie set by an authenticated login', produces: 'text/html', query: { code: { type: 'string' }, state: { type: 'string' } } },
+  { path: '/history', methods: ['GET'], summary: 'Register and verify history, newest first', query: { domain: { type: 'string' }, limit: { type: 'integer', minimum: 1, maximum: HISTORY_LIST_LIMIT } } },
+  { path: '/pairing', methods: ['GET'], summary: 'Virtual key pairing link and QR code', query: { domain: { ...DOMAIN_SCHEMA, required: true } } },
+  { path: '/session', methods: ['GET'], summary: 'Regions and expiry of the tokens held in the session' },
+  { path: '/logout', methods: ['POST'], summary: 'Clear the session' },
+  { path: '/generate-key', methods: ['POST'], summary: 'Generate a P-256 key pair (admin auth only)' },
+  {
+    path: '/get-token',
+    methods: ['POST'],
+    summary: 'Partner token per region (client_credentials)',
+    missing: 'clientId and clientSecret are required',
+    body: { required: ['clientId', 'clientSecret'], properties: { clientId: { type: 'string' }, clientSecret: { type: 'string' }, regions: { ...OPTIONAL_REGIONS_SCHEMA, description: `Region ids; the default region (${DEFAULT_REGION}) when empty or omitted` }, scopes: SCOPES_SCHEMA } },
+  },
+  ...Object.entries(USER_DATA_ROUTES).map(([path, route]) => ({
+    path,
+    methods: ['POST'],
+    summary: `Tesla ${route.method} ${route.url('').replace('/api/1', '')} per region, with a user token`,
+    regionResults: true,
+    missing: route.requiresVins ? 'userToken, regions and vins are required' : 'userToken and regions are required',
+    body: { required: ['userToken', 'regions', ...(route.requiresVins ? ['vins'] : [])], properties: { userToken: TOKEN_SCHEMA, regions: REGIONS_SCHEMA, ...(route.requiresVins ? { vins: { type: 'array', items: { type: 'string', format: 'vin' }, minItems: 1, maxItems: 100 } } : {}) } },
+  })),
+  ...Object.entries(PARTNER_ACCOUNT_ROUTES).map(([path, route]) => ({
+    path,
+    methods: ['POST'],
+    summary: `Tesla ${route.method} ${route.url('', { domain: '{domain}' }).replace('/api/1', '').split('?')[0]} per region, with a partner token`,
+    regionResults: true,
+    partnerToken: true,
+    missing: route.requiresDomain ? 'Domain, token, and regions are required' : 'Token and regions are required',
+    body: { required: [...(route.requiresDomain ? ['domain'] : []), 'regions'], properties: { ...(route.requiresDomain ? { domain: DOMAIN_SCHEMA } : {}), regions: REGIONS_SCHEMA, ...PARTNER_TOKEN_PROPERTIES } },
+  })),
+  {
+    path: '/rotation-check',
+    methods: ['POST'],
+    summary: 'Compare the key Tesla has for a domain with the active, pending and previous keys',
+    regionResults: true,
+    partnerToken: true,
+    missing: 'Domain, token, and regions are required',
+    body: { required: ['domain', 'regions'], properties: { domain: DOMAIN_SCHEMA, regions: REGIONS_SCHEMA, ...PARTNER_TOKEN_PROPERTIES } },
+  },
+  {
+    path: '/doctor',
+    methods: ['POST'],
+    summary: 'Domain readiness checklist',
+    missing: 'Domain is required',
+    body: { required: ['domain'], properties: { domain: DOMAIN_SCHEMA, regions: { ...OPTIONAL_REGIONS_SCHEMA, description: 'Regions to check with Tesla; the Tesla check is skipped when empty or omitted' }, allowedOrigin: { type: 'string', format: 'uri' }, ...PARTNER_TOKEN_PROPERTIES } },
+  },
+  { path: '/monitor', methods: ['POST'], summary: 'Check every BEACON_MONITOR_DOMAINS registration and send webhook alerts (admin auth only)' },
+];
+
+function routeMatches(route, path) {
+  if (route.match === 'exact') return path === route.path;
+  if (route.match === 'prefix') return path.startsWith(route.path);
+  return path.endsWith(route.path);
+}
+
+function findRoute(path) {
+  return API_ROUTES.find((route) => routeMatches(route, path));
+}
+
+// HEAD is answered wherever GET is (see handleRequest)
+function allowHeader(route) {
+  return [...route.methods.flatMap((method) => (method === 'GET' ? ['GET', 'HEAD'] : [method])), 'OPTIONS'].join(', ');
+}
+
+// Request body validation against the route table. Every problem is collected as { field, message },
+// so one 400 lists them all. String formats return the normalized value, or an error message.
+const TOKEN_PATTERN = /^[A-Za-z0-9._~+/=-]{1,8192}$/;
+const HOSTNAME_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Domains go to Tesla and into URLs as given, so only bare hostnames pass; IDNs are converted to punycode
+function checkDomain(input) {
+  const value = String(input).trim().toLowerCase();
+  if (/^[a-z][a-z0-9+.-]*:\/\//.test(value)) return { error: 'must not include a scheme such as https://' };
+  if (/[/?#\\]/.test(value)) return { error: 'must not include a path' };
+  if (/:\d*$/.test(value)) return { error: 'must not include a port' };
+  const ascii = domainToASCII(value);
+  const labels = ascii.split('.');
+  if (!ascii || ascii.length > 253 || labels.length < 2 || !labels.every((label) => HOSTNAME_LABEL.test(label))) {
+    return { error: 'must be a bare hostname such as example.com' };
+  }
+  // No top-level domain is all digits, so this catches IPv4 literals in any notation
+  if (/^\d+$/.test(labels[labels.length - 1])) return { error: 'must be a domain name, not an IP address' };
+  return { value: ascii };
+}
+
+const STRING_FORMATS = {
+  hostname: checkDomain,
+  region: (value) => (Object.hasOwn(getRegions(), value) ? { value } : { error: `must be one of ${Object.keys(getRegions()).join(', ')}` }),
+  token: (value) => (TOKEN_PATTERN.test(value) ? { value } : { error: 'must be a bearer token (letters, digits and ._~+/=- only)' }),
+  vin: (value) => (/^[A-Za-z0-9]{1,17}$/.test(value) ? { value: value.toUpperCase() } : { error: 'must be a VIN' }),
+  uri: (value) => (/^https?:\/\/[^\s/]+/i.test(value) ? { value } : { error: 'must be an http(s) URL' }),
+};
+
+function validateValue(schema, value, field, problems) {
+  const fail = (message) => problems.push({ field, message });
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) return fail('must be an array');
+    if (schema.minItems && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+    return value.map((item, index) => validateValue(schema.items, item, `${field}[${index}]`, problems));
+  }
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      const keyProblems = [];
+      validateValue({ type: 'string', ...schema.propertyNames }, key, `${field}.${key}`, keyProblems);
+      problems.push(...keyProblems.map((p) => ({ field: p.field, message: `key ${p.message}` })));
+      return [key, validateValue(schema.additionalProperties, item, `${field}.${key}`, problems)];
+    }));
+  }
+  if (typeof value !== 'string') return fail('must be a string');
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(', ')}`);
+  if (!schema.format) return value;
+  const result = STRING_FORMATS[schema.format](value);
+  if (result.error) return fail(result.error);
+  return result.value;
+}
+
+// Validates and normalizes `body` in place. Empty optional fields ('' or null, as the UI sends them) are skipped.
+function validateBody(route, body) {
+  const problems = [];
+  const { required = [], properties = {} } = route.body || {};
+  for (const [name, schema] of Object.entries(properties)) {
+    const value = body[name];
+    if (value === undefined || value === null || value === '') {
+      if (required.includes(name)) problems.push({ field: name, message: 'is required' });
+      continue;
+    }
+    body[name] = validateValue(schema, value, name, problems);
+  }
+  if (!problems.some((p) => p.field.startsWith('token'))) {
+    if (route.partnerToken && !hasPartnerToken(body)) {
+      problems.push({ field: 'token', message: 'is required (or tokens per region, or a session)' });
+    } else if (properties.tokens && hasPartnerToken(body) && Array.isArray(body.regions) && !problems.some((p) => p.field.startsWith('regions'))) {
+      // Tesla is never called with an empty bearer token: every selected region needs one
+      for (const region of body.regions.filter((r) => !partnerTokenFor(body, r))) {
+        problems.push({ field: `tokens.${region}`, message: 'is missing, and no token is given for every region' });
+      }
+    }
+  }
+  return problems;
+}
+
+function invalidBody(route, problems) {
+  const missingOnly = route.missing && problems.every((p) => p.message.startsWith('is required'));
+  return { error: missingOnly ? route.missing : `Invalid request body: ${problems.map((p) => `${p.field} ${p.message}`).join('; ')}`, fields: problems };
+}
+
+let packageVersionCache;
+function packageVersion() {
+  if (packageVersionCache === undefined) {
+    try {
+      packageVersionCache = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8')).version;
+    } catch (err) {
+      // Bundled deployments may not ship package.json
+      packageVersionCache = null;
+    }
+  }
+  return packageVersionCache;
+}
+
+function apiStatus(info) {
+  return {
+    version: packageVersion(),
+    publicKey: publicKeyStatus(info),
+    regions: Object.entries(getRegions()).map(([id, region]) => ({ id, name: region.name, apiUrl: region.apiUrl, default: id === DEFAULT_REGION })),
+    mock: Boolean(process.env.TESLA_MOCK_URL),
+  };
+}
+
+function operationId(method, path) {
+  const words = path.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  return method.toLowerCase() + words.map((w) => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+function openApiOperation(route, method, security) {
+  const parameters = Object.entries(route.query || {}).map(([name, { required, ...schema }]) => ({ name, in: 'query', required: Boolean(required), schema }));
+  if (route.match === 'prefix') parameters.push({ name: 'asset', in: 'path', required: true, schema: { type: 'string' } });
+  const json = (schema) => ({ 'application/json': { schema } });
+  const responses = {
+    200: { description: 'OK', content: route.produces ? { [route.produces]: { schema: { type: 'string' } } } : json(route.regionResults ? { type: 'array', items: { $ref: '#/components/schemas/RegionResult' } } : { type: 'object' }) },
+  };
+  if (route.body || parameters.length) responses[400] = { description: 'Invalid input', content: json({ $ref: '#/components/schemas/Error' }) };
+  if (!route.anonymous) responses[401] = { description: 'Admin authentication required', content: json({ $ref: '#/components/schemas/Error' }) };
+  responses[405] = { description: 'Method not allowed; see the Allow header', content: json({ $ref: '#/components/schemas/Error' }) };
+  if (method === 'POST') {
+    responses[413] = { description: 'Body larger than BEACON_MAX_BODY_BYTES', content: json({ $ref: '#/components/schemas/Error' }) };
+    responses[415] = { description: 'Body is not application/json', content: json({ $ref: '#/components/schemas/Error' }) };
+  }
+  if (!route.anonymous) responses[429] = { description: 'Rate limited; see the Retry-After header', content: json({ $ref: '#/components/schemas/Error' }) };
+  return {
+    operationId: operationId(method, route.path === '/' ? '/index' : route.path),
+    summary: route.summary,
+    ...(parameters.length ? { parameters } : {}),
+    ...(method === 'POST' && route.body ? { requestBody: { required: Boolean(route.body.required), content: json({ type: 'object', ...route.body }) } } : {}),
+    responses,
+    ...(route.anonymous ? { security: [] } : security.length ? { security } : {}),
+  };
+}
+
+// OpenAPI 3.1 description of every route, served at /api/v1/openapi.json
+function openApiDocument(origin) {
+  const methods = authMethods();
+  const securitySchemes = {};
+  if (methods.some((m) => m !== 'basic')) securitySchemes.bearerAuth = { type: 'http', scheme: 'bearer', description: 'BEACON_ADMIN_TOKEN or a Google-signed ID token' };
+  if (methods.includes('basic')) securitySchemes.basicAuth = { type: 'http', scheme: 'basic' };
+  const security = Object.keys(securitySchemes).map((name) => ({ [name]: [] }));
+  const paths = {};
+  for (const route of API_ROUTES) {
+    const path = route.match === 'prefix' ? `${route.path}{asset}` : route.path;
+    paths[path] = Object.fromEntries(route.methods.map((method) => [method.toLowerCase(), openApiOperation(route, method, security)]));
+  }
+  return {
+    openapi: '3.1.0',
+    info: { title: 'IceWheel Energy Key Beacon', version: packageVersion() || '0.0.0', license: { name: 'GPL-3.0-or-later', identifier: 'GPL-3.0-or-later' } },
+    servers: [{ url: origin }],
+    paths,
+    components: {
+      securitySchemes,
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: { type: 'string' },
+            fields: { type: 'array', description: 'Every invalid field of a 400', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } },
+            requestId: { type: 'string' },
+            upstream: { type: 'object' },
+          },
+        },
+        RegionResult: {
+          type: 'object',
+          description: 'One Promise.allSettled result per region',
+          properties: {
+            status: { enum: ['fulfilled', 'rejected'] },
+            value: { type: 'object', properties: { region: { type: 'string' }, data: { type: 'object' }, attempts: { type: 'integer' }, durationMs: { type: 'integer' } } },
+            reason: { type: 'object', description: 'Upstream failure: region, status, code, description, retriable, ...' },
+          },
+        },
+      },
+    },
+  };
+}
+
+function requestPath(req) {
+  return (req.path || req.url || '').split('?')[0];
+}
+
+// Portable core: every deployment target goes through this, with no framework objects involved.
+//   request   { method, url, path?, headers, body?, ip?, protocol? }; body is a parsed object, a string or a Buffer
+//   options   { proxyHops }: X-Forwarded-For entries appended by trusted proxies (default 1); 0 rate-limits on `ip`
+//   resolves  { status, headers, body }; body is a string, or a Buffer for binary assets
+// Adapters for Functions Framework (beacon in index.js), plain Node http, AWS Lambda and the Fetch API
+// (adapters/) only translate to and from these shapes.
+export async function handleBeaconRequest({ method = 'GET', url = '/', path, headers = {}, body, ip, protocol }, options = {}) {
+  const responseHeaders = {};
+  let status = 200;
+  let sent = '';
+  const head = String(method).toUpperCase() === 'HEAD';
+  const req = {
+    method: String(method).toUpperCase(),
+    url,
+    path: path || String(url).split('?')[0],
+    headers: Object.fromEntries(Object.entries(headers).filter(([, value]) => value !== undefined).map(([name, value]) => [name.toLowerCase(), Array.isArray(value) ? value.join(', ') : String(value)])),
+    body,
+    ip,
+    protocol,
+  };
+  const res = {
+    get statusCode() { return status; },
+    status(code) { status = code; return this; },
+    set(name, value) { responseHeaders[name] = value; return this; },
+    send(payload) { sent = payload; return this; },
+  };
+  await serve(req, res, options);
+  return { status, headers: responseHeaders, body: head ? '' : sent };
+}
+
+// Request body of a Node IncomingMessage, for servers that have not parsed it already.
+// Only the first BEACON_MAX_BODY_BYTES + 1 bytes are kept, which is enough for parseJson to answer 413.
+export function readNodeBody(req) {
+  const limit = maxBodyBytes();
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      if (size > limit) return;
+      const buffer = Buffer.from(chunk);
+      chunks.push(buffer.subarray(0, limit + 1 - size));
+      size += buffer.length;
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Runs one route in-process, the way the CLI does: { status, headers, body } with JSON bodies parsed.
+// The caller already holds this deployment's configuration, so the admin auth gate does not apply.
+export async function runBeaconAction(method, url, { body, host = 'localhost' } = {}) {
+  const response = await handleBeaconRequest({ method, url, headers: { host }, body: body || {} }, { trusted: true });
+  const isJson = String(response.headers['Content-Type'] || '').startsWith('application/json');
+  return { ...response, body: isJson ? JSON.parse(response.body) : response.body };
+}
+
+async function serve(req, res, options) {
+  const started = Date.now();
+  const { requestId, trace } = traceContext(req);
+  const path = requestPath(req);
+  return requestContext.run({ trace, fields: { requestId, route: path } }, async () => {
+    res.set('X-Request-Id', requestId);
+    applySecurityHeaders(res);
+    try {
+      await handleRequest(req, res, options);
+    } catch (err) {
+      const status = (err && err.status) || 500;
+      log(status >= 500 ? 'ERROR' : 'WARNING', 'Request failed', { error: err && err.message, stack: status >= 500 ? err && err.stack : undefined });
+      sendJson(res, status, err && err.status ? { error: err.message, upstream: err.upstream, requestId } : { error: 'Internal Server Error', requestId });
+    }
+    log('INFO', 'Request completed', {
+      httpRequest: {
+        requestMethod: req.method,
+        requestUrl: req.originalUrl || req.url,
+        status: res.statusCode,
+        userAgent: req.headers && req.headers['user-agent'],
+        remoteIp: req.ip,
+        latency: `${((Date.now() - started) / 1000).toFixed(3)}s`,
+      },
+    });
+  });
+}
+
+async function handleRequest(req, res, { trusted = false, proxyHops = 1 } = {}) {
+  applyCors(req, res);
+  const path = requestPath(req);
+  const apiRoute = findRoute(path);
+  // HEAD runs the GET handlers; the adapters (and Express) drop the body
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  if (method === 'OPTIONS') {
+    if (apiRoute) res.set('Allow', allowHeader(apiRoute));
+    return res.status(204).send('');
+  }
+  if (apiRoute && !apiRoute.methods.includes(method)) {
+    res.set('Allow', allowHeader(apiRoute));
+    return sendJson(res, 405, { error: `Method ${req.method} is not allowed for ${apiRoute.path}`, allow: apiRoute.methods });
+  }
+  if (method === 'GET' && path === '/healthz') {
+    res.set('Cache-Control', 'no-store');
+    return sendJson(res, 200, { status: 'ok' });
+  }
+
+  const host = req.headers && req.headers.host;
+  await preloadRemoteKeys();
+
+  // Anonymous routes: Tesla must always be able to fetch the key
+  if (method === 'GET') {
+    if (path === PUBLIC_KEY_PATH) {
+      const info = resolveKeyInfo(host);
+      if (info.unknownHost) return sendText(res, 404, `Unknown host: ${info.host}`);
+      if (info.error) return sendText(res, 500, `Configured public key is invalid: ${info.error}`);
+      return info.pem ? sendText(res, 200, info.pem, 'application/x-pem-file') : sendText(res, 404, 'Public key not found');
+    }
+    if (path.startsWith('/assets/')) return serveStaticAsset(res, path);
+    if (path === '/status') {
+      const info = resolveKeyInfo(host);
+      return sendJson(res, info.unknownHost ? 404 : 200, { publicKey: publicKeyStatus(info) });
+    }
+    if (path === '/api/v1/status') {
+      const info = resolveKeyInfo(host);
+      return sendJson(res, info.unknownHost ? 404 : 200, apiStatus(info));
+    }
+  }
+
+  // Throttled before the auth gate, so credentials cannot be guessed at full speed either
+  const retryAfter = trusted ? undefined : rateLimited(req, proxyHops);
+  if (retryAfter !== undefined) {
+    res.set('Retry-After', String(retryAfter));
+    return sendJson(res, 429, { error: 'Too many requests', retryAfterSeconds: retryAfter });
+  }
+
+  // Tesla redirects the browser here without admin credentials. Only an authenticated /auth/login sets the
+  // sealed flow cookie that, with the signed state, the callback requires, so those checks stand in for the gate.
+  if (method === 'GET' && path.endsWith(AUTH_CALLBACK_PATH)) return handleAuthCallback(req, res);
+
+  // Everything else sits behind the admin auth gate when it is enabled
+  if (!trusted && authMethods().length > 0 && !(await authenticate(req))) return sendUnauthorized(res, method !== 'GET');
+
+  if (method === 'GET') {
+    if (path === '/' || path.endsWith('/index.html')) {
+      const info = resolveKeyInfo(host);
+      if (info.unknownHost) return sendText(res, 404, `Unknown host: ${info.host}`);
+      const nonce = cspNonce();
+      return sendHtml(res, 200, renderIndexHtml(info, nonce), nonce);
+    }
+    if (path.endsWith(AUTH_LOGIN_PATH)) return handleAuthLogin(req, res, {});
+    if (path.endsWith('/history')) {
+      const query = getQuery(req);
+      const limit = Math.min(Math.max(Number(query.limit) || 50, 1), HISTORY_LIST_LIMIT);
+      const store = historyStore();
+      return sendJson(res, 200, { store: store ? (customHistoryStore ? 'custom' : String(process.env.BEACON_HISTORY || 'file').toLowerCase()) : 'off', entries: store ? await store.list({ domain: query.domain || undefined, limit }) : [] });
+    }
+    if (path.endsWith('/pairing')) {
+      const { value: domain, error } = checkDomain(getQuery(req).domain || '');
+      if (error) return sendJson(res, 400, { error: `domain ${error}`, fields: [{ field: 'domain', message: error }] });
+      const url = pairingLink(domain);
+      return sendJson(res, 200, { domain, url, qrSvg: renderQrSvg(url) });
+    }
+    if (path === '/api/v1/openapi.json') return sendJson(res, 200, openApiDocument(requestOrigin(req)));
+    if (path.endsWith('/session')) {
+      const session = await readSession(req);
+      return sendJson(res, 200, { mode: sessionMode() || null, tokens: session ? sessionSummary(session.tokens) : {} });
+    }
+  }
+
+  if (method === 'POST') {
+    const body = await parseJson(req);
+    if (path.endsWith('/logout')) {
+      await clearSession(req, res);
+      return sendJson(res, 200, { ok: true });
+    }
+    // Session tokens stand in for tokens the browser no longer has
+    if (!hasPartnerToken(body)) {
+      const session = await readSession(req);
+      if (session) body.tokens = Object.fromEntries(Object.entries(session.tokens).map(([region, t]) => [region, t.access_token]));
+    }
+    if (apiRoute) {
+      const problems = validateBody(apiRoute, body);
+      if (problems.length > 0) return sendJson(res, 400, invalidBody(apiRoute, problems));
+    }
+    if (path.endsWith(AUTH_LOGIN_PATH)) return handleAuthLogin(req, res, body);
+    if (path.endsWith('/generate-key')) return handleGenerateKey(req, res);
+    if (path.endsWith('/get-token')) {
+      let { clientId, clientSecret } = body;
+      const regions = Array.isArray(body.regions) && body.regions.length > 0 ? body.regions : [DEFAULT_REGION];
+      const scope = resolveScopes(body.scopes);
+
+      try {
+          // Tokens are issued per audience, so request one for each selected region
+          const results = await fanOutRegions(regions, (region, apiUrl, regionInfo) => requestPartnerToken(region, regionInfo, clientId, clientSecret, scope));
+          const issued = results.filter((r) => r.status === 'fulfilled');
+          const errors = Object.fromEntries(results.filter((r) => r.status === 'rejected').map((r) => [r.value.region, r.reason]));
+          if (issued.length === 0) return sendJson(res, 502, { error: results[0].reason.message, upstream: results[0].reason, errors });
+          const tokens = Object.fromEntries(issued.map((r) => [r.value.region, r.value.data]));
+          const attempts = Object.fromEntries(results.map((r) => [r.value.region, { attempts: r.value.attempts, durationMs: r.value.durationMs }]));
+          if (sessionMode()) {
+            const stored = await writeSession(req, res, await readSession(req), tokens);
+            return sendJson(res, 200, { session: sessionMode(), tokens: sessionSummary(stored), errors, attempts });
+          }
+          return sendJson(res, 200, { ...issued[0].value.data, tokens, errors, attempts });
+      } finally {
+          // Explicitly clear secrets
+          clientId = null;
+          clientSecret = null;
+      }
+    }
+
+    const userRoute = Object.keys(USER_DATA_ROUTES).find((route) => path.endsWith(route));
+    if (userRoute) {
+      const route = USER_DATA_ROUTES[userRoute];
+      const { userToken, regions } = body;
+      const results = await fanOutRegions(regions, (region, baseUrl) => teslaRequest(region, route.url(baseUrl), { method: route.method, token: userToken, body: route.body && route.body(body) }));
+      return sendJson(res, 200, results);
+    }
+
+    const partnerRoute = Object.keys(PARTNER_ACCOUNT_ROUTES).find((route) => path.endsWith(route));
+    if (partnerRoute) {
+      const route = PARTNER_ACCOUNT_ROUTES[partnerRoute];
+      const { domain, regions } = body;
+      const results = await fanOutRegions(regions, (region, baseUrl) => teslaRequest(region, route.url(baseUrl, body), { method: route.method, token: partnerTokenFor(body, region), body: route.body && route.body(body) }));
+      if (route.history) await recordHistory(route.history, { domain, host, keyInfo: resolveKeyInfo(host), results });
+      return sendJson(res, 200, results);
+    }
+
+    if (path.endsWith('/doctor')) return sendJson(res, 200, await runDoctor(body, req.headers && req.headers.host));
+
+    // Each run spends TESLA_CLIENT_SECRET and can post alerts, so like /generate-key it needs admin auth
+    if (path.endsWith('/monitor')) return authMethods().length === 0 ? sendText(res, 404, 'Not Found') : sendJson(res, 200, await runMonitor(host));
+
+    if (path.endsWith('/rotation-check')) {
+      const { domain, regions } = body;
+      const keyInfo = resolveKeyInfo(req.headers && req.headers.host);
+      const results = await checkRegistration(domain, regions, (region) => partnerTokenFor(body, region), keyInfo);
+      await recordHistory('rotation-check', { domain, host, keyInfo, results });
+      return sendJson(res, 200, results);
+    }
+  }
+
+  return path.startsWith('/api/') ? sendJson(res, 404, { error: 'Not Found' }) : sendText(res, 404, 'Not Found');
+}
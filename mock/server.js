@@ -0,0 +1,325 @@
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+/*
+ * IceWheel Energy - Tesla Fleet API mock for offline development
+ *
+ * Every region lives under its own path prefix, so with TESLA_MOCK_URL=http://localhost:4000 the beacon uses:
+ *   POST /<region>/oauth2/v3/token                      client_credentials, authorization_code, refresh_token
+ *   GET  /<region>/oauth2/v3/authorize                  redirects straight back with a code (no login page)
+ *   POST /<region>/api/1/partner_accounts               registers { domain } after downloading its public key
+ *   GET  /<region>/api/1/partner_accounts/public_key    ?domain=
+ *   GET  /<region>/api/1/partner_accounts/fleet_telemetry_errors
+ *   GET  /<region>/api/1/partner_accounts/fleet_telemetry_error_vins
+ *   GET  /<region>/api/1/vehicles, /api/1/products      two vehicles and a Powerwall (user tokens only)
+ *   POST /<region>/api/1/vehicles/fleet_status          { vins }: the first mock vehicle has the virtual key paired
+ * and for driving the mock itself:
+ *   GET  /_mock/state                                   scenarios and registrations
+ *   POST /_mock/scenario                                { scenario, region? } switches scenario at runtime;
+ *                                                       without a region it replaces every per-region scenario
+ *
+ * Scenarios: success, invalid_client, domain_mismatch, rate_limited, server_error.
+ * MOCK_SCENARIO sets one for all regions ("rate_limited") or per region ("na=success,eu=server_error").
+ */
+
+import { createServer } from 'node:http';
+import { createHash, createHmac, createPublicKey, randomBytes, timingSafeEqual } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import fetch from 'node-fetch';
+
+export const MOCK_SCENARIOS = ['success', 'invalid_client', 'domain_mismatch', 'rate_limited', 'server_error'];
+
+const PUBLIC_KEY_PATH = '/.well-known/appspecific/com.tesla.3p.public-key.pem';
+const TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+const MOCK_VEHICLES = [
+  { id: 100021, vehicle_id: 900001, vin: '5YJ3E1EA0PF000001', display_name: 'Mock Model 3', state: 'online' },
+  { id: 100022, vehicle_id: 900002, vin: '7SAYGDEE0PF000002', display_name: 'Mock Model Y', state: 'asleep' },
+];
+const MOCK_FLEET_STATUS = {
+  '5YJ3E1EA0PF000001': { paired: true, firmware_version: '2024.26.7' },
+  '7SAYGDEE0PF000002': { paired: false, firmware_version: '2023.44.30' },
+};
+const MOCK_ENERGY_SITES = [{ energy_site_id: 1000001, resource_type: 'battery', site_name: 'Mock Powerwall', id: 'STE-MOCK-0001' }];
+
+// "rate_limited" or "na=success,eu=server_error" -> { '*': 'rate_limited' } / { na: 'success', eu: 'server_error' }
+export function parseScenarios(value) {
+  const scenarios = { '*': 'success' };
+  for (const part of String(value || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [region, scenario] = part.includes('=') ? part.split('=').map((s) => s.trim()) : ['*', part];
+    if (!MOCK_SCENARIOS.includes(scenario)) throw new Error(`Unknown mock scenario "${scenario}". Use one of: ${MOCK_SCENARIOS.join(', ')}`);
+    scenarios[region] = scenario;
+  }
+  return scenarios;
+}
+
+// Options: scenario (string as in MOCK_SCENARIO), keyOrigin (fetch every domain's key from this origin
+// instead of https://<domain>, e.g. a beacon on http://localhost:8080), retryAfter (seconds sent with 429).
+export function createMockServer({ scenario, keyOrigin, retryAfter = 1 } = {}) {
+  const secret = randomBytes(32);
+  const state = { scenarios: parseScenarios(scenario), registrations: {} };
+  const codes = new Map();
+
+  const scenarioFor = (region) => state.scenarios[region] || state.scenarios['*'];
+
+  function send(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+  }
+
+  // Failures every endpoint can produce, before any other handling
+  function sendScenarioFailure(res, region) {
+    const current = scenarioFor(region);
+    if (current === 'rate_limited') {
+      send(res, 429, { error: 'too_many_requests', error_description: `Mock rate limit for ${region}` }, { 'Retry-After': String(retryAfter) });
+      return true;
+    }
+    if (current === 'server_error') {
+      send(res, 503, { error: 'service_unavailable', error_description: `Mock outage for ${region}` });
+      return true;
+    }
+    return false;
+  }
+
+  function issueToken({ baseUrl, region, clientId, audience, scope, user }) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: 'mock' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({
+      iss: `${baseUrl}/${region}/oauth2/v3/nts`,
+      azp: clientId,
+      sub: user ? 'mock-user' : clientId,
+      aud: [audience, `${baseUrl}/${region}/oauth2/v3/clients`],
+      scp: String(scope || '').split(' ').filter(Boolean),
+      ou_code: region.toUpperCase(),
+      iat: now,
+      exp: now + TOKEN_TTL_SECONDS,
+    })).toString('base64url');
+    const signature = createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+  }
+
+  function readToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) return undefined;
+    const [header, payload, signature] = match[1].split('.');
+    if (!header || !payload || !signature) return undefined;
+    const expected = createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return undefined;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() / 1000 ? claims : undefined;
+  }
+
+  async function handleToken(req, res, { baseUrl, region }) {
+    const params = new URLSearchParams(await readBody(req));
+    const grantType = params.get('grant_type');
+    const clientId = params.get('client_id');
+    if (!clientId) return send(res, 400, { error: 'invalid_request', error_description: 'client_id is required' });
+    if (scenarioFor(region) === 'invalid_client') return send(res, 401, { error: 'invalid_client', error_description: 'Client authentication failed (mock)' });
+
+    if (grantType === 'client_credentials') {
+      if (!params.get('client_secret')) return send(res, 401, { error: 'invalid_client', error_description: 'client_secret is required' });
+      const audience = params.get('audience');
+      if (!audience) return send(res, 400, { error: 'invalid_request', error_description: 'audience is required' });
+      const scope = params.get('scope') || '';
+      return send(res, 200, { access_token: issueToken({ baseUrl, region, clientId, audience, scope }), token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS, scope });
+    }
+
+    if (grantType === 'authorization_code') {
+      const flow = codes.get(params.get('code'));
+      codes.delete(params.get('code'));
+      if (!flow || flow.clientId !== clientId || flow.redirectUri !== params.get('redirect_uri')) {
+        return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown or already used authorization code' });
+      }
+      const challenge = createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+      if (flow.codeChallenge && challenge !== flow.codeChallenge) return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      const audience = params.get('audience') || `${baseUrl}/${region}`;
+      return send(res, 200, {
+        access_token: issueToken({ baseUrl, region, clientId, audience, scope: flow.scope, user: true }),
+        refresh_token: `mock-refresh-${randomBytes(12).toString('hex')}`,
+        id_token: issueToken({ baseUrl, region, clientId, audience: clientId, scope: 'openid', user: true }),
+        token_type: 'Bearer',
+        expires_in: TOKEN_TTL_SECONDS,
+        scope: flow.scope,
+      });
+    }
+
+    if (grantType === 'refresh_token') {
+      if (!String(params.get('refresh_token') || '').startsWith('mock-refresh-')) return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown refresh token' });
+      const audience = params.get('audience') || `${baseUrl}/${region}`;
+      return send(res, 200, { access_token: issueToken({ baseUrl, region, clientId, audience, scope: params.get('scope') || '', user: true }), refresh_token: params.get('refresh_token'), token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS });
+    }
+
+    return send(res, 400, { error: 'unsupported_grant_type', error_description: `Unsupported grant_type: ${grantType}` });
+  }
+
+  // No login page: approve immediately and send the browser back with a code
+  function handleAuthorize(res, query) {
+    const redirectUri = query.get('redirect_uri');
+    if (!redirectUri || !query.get('client_id')) return send(res, 400, { error: 'invalid_request', error_description: 'client_id and redirect_uri are required' });
+    const code = `mock-code-${randomBytes(12).toString('hex')}`;
+    codes.set(code, { clientId: query.get('client_id'), redirectUri, codeChallenge: query.get('code_challenge'), scope: query.get('scope') || '' });
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (query.get('state')) target.searchParams.set('state', query.get('state'));
+    res.writeHead(302, { Location: target.toString() });
+    res.end();
+  }
+
+  // Registration downloads the key the way Tesla does, so a broken beacon fails here too
+  async function downloadPublicKey(domain) {
+    const keyUrl = `${keyOrigin ? keyOrigin.replace(/\/+$/, '') : `https://${domain}`}${PUBLIC_KEY_PATH}`;
+    let pem;
+    try {
+      const response = await fetch(keyUrl);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      pem = await response.text();
+    } catch (err) {
+      throw Object.assign(new Error(`Public key download failed for ${keyUrl}: ${err.message}`), { status: 424 });
+    }
+    try {
+      const jwk = createPublicKey(pem).export({ format: 'jwk' });
+      if (jwk.crv !== 'P-256') throw new Error(`expected P-256, got ${jwk.crv}`);
+      return `04${Buffer.from(jwk.x, 'base64url').toString('hex')}${Buffer.from(jwk.y, 'base64url').toString('hex')}`;
+    } catch (err) {
+      throw Object.assign(new Error(`Invalid public key at ${keyUrl}: ${err.message}`), { status: 400 });
+    }
+  }
+
+  // The bearer token's claims, or undefined once an error has been sent
+  function authorize(req, res, { baseUrl, region }) {
+    const claims = readToken(req);
+    if (!claims) return void send(res, 401, { error: 'invalid_token', error_description: 'Missing, expired or unknown bearer token' });
+    if (!claims.aud.includes(`${baseUrl}/${region}`)) {
+      return void send(res, 421, { error: 'misdirected_request', error_description: `Token audience ${claims.aud[0]} does not match region ${region}` });
+    }
+    return claims;
+  }
+
+  async function handlePartnerAccounts(req, res, { baseUrl, region, path, query }) {
+    const claims = authorize(req, res, { baseUrl, region });
+    if (!claims) return undefined;
+    const registrations = state.registrations[region] || (state.registrations[region] = {});
+
+    if (path === '/api/1/partner_accounts' && req.method === 'POST') {
+      const { domain } = JSON.parse((await readBody(req)) || '{}');
+      if (!domain || !/^[a-z0-9.-]+$/i.test(domain)) return send(res, 400, { error: 'invalid_domain', error_description: 'domain must be a bare host name' });
+      if (scenarioFor(region) === 'domain_mismatch') {
+        return send(res, 400, { response: null, error: 'invalid_domain', error_description: `Root domain ${domain} must match registered allowed origin` });
+      }
+      let publicKey;
+      try {
+        publicKey = await downloadPublicKey(domain);
+      } catch (err) {
+        return send(res, err.status, { response: null, error: 'public_key_error', error_description: err.message });
+      }
+      const now = new Date().toISOString();
+      registrations[domain] = { client_id: claims.azp, domain, public_key: publicKey, created_at: (registrations[domain] || {}).created_at || now, updated_at: now };
+      return send(res, 200, { response: registrations[domain] });
+    }
+    if (path === '/api/1/partner_accounts/public_key' && req.method === 'GET') {
+      const registration = registrations[query.get('domain')];
+      if (!registration) return send(res, 404, { response: null, error: 'not_found', error_description: `Domain ${query.get('domain')} is not registered in ${region}` });
+      return send(res, 200, { response: { public_key: registration.public_key } });
+    }
+    if (path === '/api/1/partner_accounts/fleet_telemetry_errors' && req.method === 'GET') {
+      return send(res, 200, { response: { fleet_telemetry_errors: [] } });
+    }
+    if (path === '/api/1/partner_accounts/fleet_telemetry_error_vins' && req.method === 'GET') {
+      return send(res, 200, { response: [] });
+    }
+    return send(res, 404, { error: 'not_found', error_description: `No mock for ${req.method} ${path}` });
+  }
+
+  async function handleUserData(req, res, { baseUrl, region, path }) {
+    const claims = authorize(req, res, { baseUrl, region });
+    if (!claims) return undefined;
+    if (claims.sub !== 'mock-user') return send(res, 403, { error: 'unauthorized_client', error_description: 'This endpoint needs a user access token, not a partner token' });
+
+    if (path === '/api/1/vehicles' && req.method === 'GET') return send(res, 200, { response: MOCK_VEHICLES, count: MOCK_VEHICLES.length });
+    if (path === '/api/1/products' && req.method === 'GET') return send(res, 200, { response: [...MOCK_VEHICLES, ...MOCK_ENERGY_SITES], count: MOCK_VEHICLES.length + MOCK_ENERGY_SITES.length });
+    if (path === '/api/1/vehicles/fleet_status' && req.method === 'POST') {
+      const { vins } = JSON.parse((await readBody(req)) || '{}');
+      if (!Array.isArray(vins) || vins.length === 0) return send(res, 400, { error: 'invalid_request', error_description: 'vins is required' });
+      const known = vins.filter((vin) => MOCK_FLEET_STATUS[vin]);
+      return send(res, 200, {
+        response: {
+          key_paired_vins: known.filter((vin) => MOCK_FLEET_STATUS[vin].paired),
+          unpaired_vins: known.filter((vin) => !MOCK_FLEET_STATUS[vin].paired),
+          vehicle_info: Object.fromEntries(known.map((vin) => [vin, { firmware_version: MOCK_FLEET_STATUS[vin].firmware_version, vehicle_command_protocol_required: true }])),
+        },
+      });
+    }
+    return send(res, 404, { error: 'not_found', error_description: `No mock for ${req.method} ${path}` });
+  }
+
+  async function handleMockControl(req, res, path) {
+    if (path === '/_mock/state' && req.method === 'GET') return send(res, 200, state);
+    if (path === '/_mock/scenario' && req.method === 'POST') {
+      const { scenario: next, region = '*' } = JSON.parse((await readBody(req)) || '{}');
+      if (!MOCK_SCENARIOS.includes(next)) return send(res, 400, { error: `Unknown mock scenario "${next}"`, scenarios: MOCK_SCENARIOS });
+      // Without a region the scenario applies everywhere and clears per-region ones
+      if (region === '*') state.scenarios = { '*': next };
+      else state.scenarios[region] = next;
+      return send(res, 200, state.scenarios);
+    }
+    return send(res, 404, { error: 'not_found' });
+  }
+
+  return createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      const baseUrl = `http://${req.headers.host}`;
+      if (url.pathname.startsWith('/_mock/')) return await handleMockControl(req, res, url.pathname);
+
+      const match = /^\/([\w-]+)(\/.*)$/.exec(url.pathname);
+      if (!match) return send(res, 404, { error: 'not_found', error_description: 'Paths start with a region, e.g. /na/api/1/partner_accounts' });
+      const [, region, path] = match;
+
+      if (path === '/oauth2/v3/authorize' && req.method === 'GET') return handleAuthorize(res, url.searchParams);
+      if (sendScenarioFailure(res, region)) return undefined;
+      if (path === '/oauth2/v3/token' && req.method === 'POST') return await handleToken(req, res, { baseUrl, region });
+      if (path.startsWith('/api/1/partner_accounts')) return await handlePartnerAccounts(req, res, { baseUrl, region, path, query: url.searchParams });
+      if (path.startsWith('/api/1/vehicles') || path === '/api/1/products') return await handleUserData(req, res, { baseUrl, region, path });
+      return send(res, 404, { error: 'not_found', error_description: `No mock for ${req.method} ${path}` });
+    } catch (err) {
+      return send(res, 500, { error: 'mock_error', error_description: err.message });
+    }
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// npm run mock
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_PORT || 4000);
+  createMockServer({ scenario: process.env.MOCK_SCENARIO, keyOrigin: process.env.MOCK_KEY_ORIGIN, retryAfter: Number(process.env.MOCK_RETRY_AFTER || 1) })
+    .listen(port, () => {
+      console.log(`Tesla Fleet API mock listening on http://localhost:${port} (scenario: ${process.env.MOCK_SCENARIO || 'success'})`);
+      console.log(`Point the beacon at it with TESLA_MOCK_URL=http://localhost:${port}`);
+    });
+}
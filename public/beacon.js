@@ -0,0 +1,410 @@
+/*
+ * IceWheel Energy
+ * Copyright (C) 2025 IceWheel LLC
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ *
+ */
+
+/*
+ * IceWheel Energy - Key Beacon page script
+ *
+ * Served from /assets with a content hash in its URL; the page has no inline script so the CSP can forbid it.
+ */
+
+// Server-side settings the page needs, rendered as data attributes on <body>
+const SESSION_MODE = document.body.dataset.sessionMode || '';
+function escapeHtml(s){return s.replace(/[&<>"']/g,c=>({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));}
+
+function setupCopyHandler(buttonId, sourceElementId) {
+  const copyButton = document.getElementById(buttonId);
+  const sourceElement = document.getElementById(sourceElementId);
+  if (!copyButton || !sourceElement) return;
+  copyButton.addEventListener('click', async () => {
+    const textToCopy = sourceElement.value !== undefined ? sourceElement.value : sourceElement.innerText;
+    try {
+      await navigator.clipboard.writeText(textToCopy);
+      const originalContent = copyButton.innerHTML;
+      copyButton.innerHTML = '<i class="bi bi-clipboard-check"></i> Copied';
+      setTimeout(() => { copyButton.innerHTML = originalContent; }, 1500);
+    } catch (err) { console.error('Failed to copy: ', err); }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const currentOrigin = window.location.origin;
+  const redirectPath = '/api/tesla/fleet/auth/callback';
+  document.getElementById('originCurrent').value = currentOrigin;
+  document.getElementById('redirectCurrent').value = currentOrigin + redirectPath;
+  document.getElementById('returnedCurrent').value = currentOrigin;
+
+  if (document.getElementById('publicKey')) setupCopyHandler('copyKeyBtn', 'publicKey');
+  setupCopyHandler('copyOriginLocalBtn', 'originLocal');
+  setupCopyHandler('copyOriginCurrentBtn', 'originCurrent');
+  setupCopyHandler('copyRedirectLocalBtn', 'redirectLocal');
+  setupCopyHandler('copyRedirectCurrentBtn', 'redirectCurrent');
+  setupCopyHandler('copyReturnedLocalBtn', 'returnedLocal');
+  setupCopyHandler('copyReturnedCurrentBtn', 'returnedCurrent');
+  setupCopyHandler('copyPairingBtn', 'pairingUrl');
+
+  // Countdowns may be added later (token summary), so look them up on every tick
+  const tick = () => document.querySelectorAll('[data-countdown]').forEach((el) => { el.textContent = formatCountdown(Date.parse(el.dataset.countdown) - Date.now()); });
+  tick(); setInterval(tick, 1000);
+
+  document.querySelectorAll('#tokenForm input[type=checkbox]').forEach((el) => el.addEventListener('change', updateCurl));
+  updateCurl();
+});
+
+function selectedScopes(){
+  return Array.from(document.querySelectorAll('#tokenForm input.scope-check:checked')).map(el => el.value);
+}
+
+function buildTokenCurl(authUrl, audience, scope){
+  return 'curl -X POST "' + authUrl + '" \\\n'
+    + '-H "Content-Type: application/x-www-form-urlencoded" \\\n'
+    + '-d "grant_type=client_credentials" \\\n'
+    + '-d "client_id=YOUR_CLIENT_ID" \\\n'
+    + '-d "client_secret=YOUR_CLIENT_SECRET" \\\n'
+    + '-d "scope=' + scope + '" \\\n'
+    + '-d "audience=' + audience + '"';
+}
+
+function updateCurl(){
+  const region = document.querySelector('#tokenForm input.region-check:checked') || document.querySelector('#tokenForm input.region-check');
+  if (!region) return;
+  document.getElementById('curlCommand').textContent = buildTokenCurl(region.dataset.authUrl, region.dataset.audience, selectedScopes().join(' '));
+}
+
+// Decodes the JWT payload for display only; the signature is not (and cannot be) checked here.
+function decodeJwt(token){
+  try {
+    var part = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    while (part.length % 4) part += '=';
+    return JSON.parse(decodeURIComponent(Array.from(atob(part)).map(function(c){ return '%' + ('0' + c.charCodeAt(0).toString(16)).slice(-2); }).join('')));
+  } catch (e) { return null; }
+}
+
+function renderTokenSummary(){
+  var out = document.getElementById('tokenSummary');
+  // Session mode only has the claims; otherwise decode the tokens held by this page
+  var entries = Object.keys(sessionClaims).length ? Object.entries(sessionClaims) : (Object.keys(partnerTokens).length ? Object.entries(partnerTokens) : [['', document.getElementById('partnerToken').value.trim()]])
+    .filter(function(e){ return e[1]; }).map(function(e){ return [e[0], decodeJwt(e[1])]; });
+  var rows = entries.map(function(e){
+    var claims = e[1];
+    if (!claims) return '<tr><td>' + escapeHtml(e[0] || '-') + '</td><td colspan="4" class="text-danger">Not a JWT</td></tr>';
+    var aud = [].concat(claims.aud || []);
+    var scopes = [].concat(claims.scp || (claims.scope ? String(claims.scope).split(' ') : []));
+    var expires = claims.exp ? new Date(claims.exp * 1000).toISOString() : null;
+    return '<tr><td>' + escapeHtml(e[0] || '-') + '</td>'
+      + '<td>' + aud.map(function(a){ return '<div>' + escapeHtml(String(a)) + '</div>'; }).join('') + '</td>'
+      + '<td>' + scopes.map(function(s){ return '<span class="badge text-bg-light border me-1">' + escapeHtml(String(s)) + '</span>'; }).join('') + '</td>'
+      + '<td>' + (expires ? escapeHtml(expires) + '<div class="text-muted" data-countdown="' + escapeHtml(expires) + '"></div>' : '-') + '</td>'
+      + '<td>' + escapeHtml(String(claims.iss || '-')) + '</td></tr>';
+  });
+  out.innerHTML = rows.length ? '<table class="table table-sm text-xs mb-0"><thead><tr><th>Region</th><th>Audience</th><th>Scopes</th><th>Expires</th><th>Issuer</th></tr></thead><tbody>' + rows.join('') + '</tbody></table>' : '';
+}
+
+function formatCountdown(ms){
+  if (!(ms > 0)) return 'now - reload to refresh';
+  var s = Math.floor(ms / 1000), d = Math.floor(s / 86400), h = Math.floor(s % 86400 / 3600), m = Math.floor(s % 3600 / 60);
+  return 'in ' + (d ? d + 'd ' : '') + h + 'h ' + m + 'm ' + (s % 60) + 's';
+}
+
+// Tokens are issued per region audience; a pasted token is used for every region instead.
+let partnerTokens = {};
+let sessionClaims = {};
+function showSessionTokens(tokens, failed){
+  sessionClaims = Object.fromEntries(Object.entries(tokens || {}).map(([region, t]) => [region, t.claims]));
+  const regions = Object.keys(sessionClaims);
+  document.getElementById('tokenRegions').textContent = (regions.length ? 'Session holds tokens for: ' + regions.join(', ') : 'No tokens in this session') + (failed && failed.length ? ' - failed: ' + failed.join('; ') : '');
+  renderTokenSummary();
+}
+if (SESSION_MODE) {
+  fetch('/session').then((r) => r.json()).then((data) => showSessionTokens(data.tokens)).catch(() => {});
+  document.getElementById('logoutBtn').addEventListener('click', async () => {
+    await fetch('/logout', { method:'POST', headers:{'Content-Type':'application/json'}, body: '{}' });
+    showSessionTokens({});
+  });
+}
+document.getElementById('partnerToken').addEventListener('input', () => {
+  partnerTokens = {};
+  document.getElementById('tokenRegions').textContent = '';
+  renderTokenSummary();
+});
+
+// Get token
+document.getElementById('tokenForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const clientId = document.getElementById('clientId').value.trim();
+  const clientSecret = document.getElementById('clientSecret').value.trim();
+  const regions = Array.from(document.querySelectorAll('#tokenForm input.region-check:checked')).map(el => el.value);
+  const scopes = selectedScopes();
+  const err = document.getElementById('tokenError');
+  err.textContent='';
+  try {
+    const r = await fetch('/get-token', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ clientId, clientSecret, regions, scopes }) });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.upstream ? describeUpstream(data.upstream) : (data.error || 'Failed to get token'));
+    const failed = Object.entries(data.errors || {}).map(([region, e]) => region + ': ' + describeUpstream(e));
+    if (data.session) return showSessionTokens(data.tokens, failed);
+    partnerTokens = Object.fromEntries(Object.entries(data.tokens || {}).map(([region, t]) => [region, t.access_token]));
+    document.getElementById('partnerToken').value = data.access_token || '';
+    document.getElementById('tokenRegions').textContent = 'Tokens issued for: ' + Object.keys(partnerTokens).join(', ') + (failed.length ? ' - failed: ' + failed.join('; ') : '');
+    renderTokenSummary();
+  } catch (e){ err.textContent = e.message || String(e); }
+});
+
+// Sign in with Tesla (user authorization)
+document.getElementById('signInBtn').addEventListener('click', async () => {
+  const clientId = document.getElementById('clientId').value.trim();
+  const clientSecret = document.getElementById('clientSecret').value.trim();
+  const err = document.getElementById('tokenError');
+  err.textContent='';
+  try {
+    const checked = document.querySelector('#tokenForm input.region-check:checked');
+    const region = checked ? checked.value : undefined;
+    const r = await fetch('/api/tesla/fleet/auth/login', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ clientId, clientSecret, region, scopes: selectedScopes() }) });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Failed to start sign-in');
+    window.location.assign(data.authorizeUrl);
+  } catch (e){ err.textContent = e.message || String(e); }
+});
+
+// Register
+document.getElementById('registerForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const domain = document.getElementById('domainInput').value.trim();
+  const token = document.getElementById('partnerToken').value.trim();
+  const regions = Array.from(document.querySelectorAll('#registerForm input[type=checkbox]:checked')).map(el => el.value);
+  const err = document.getElementById('registerError');
+  const out = document.getElementById('results');
+  err.textContent=''; out.innerHTML='';
+  try {
+    const r = await fetch('/register', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ domain, token, tokens: partnerTokens, regions }) });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Register failed');
+    out.innerHTML = renderResults(data);
+  } catch (e){ err.textContent = e.message || String(e); }
+});
+
+// Verify
+document.getElementById('verifyForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const domain = document.getElementById('domainInput').value.trim();
+  const token = document.getElementById('partnerToken').value.trim();
+  const regions = Array.from(document.querySelectorAll('#verifyForm input[type=checkbox]:checked')).map(el => el.value);
+  const err = document.getElementById('verifyError');
+  const out = document.getElementById('results');
+  err.textContent=''; out.innerHTML='';
+  try {
+    const r = await fetch('/verify', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ domain, token, tokens: partnerTokens, regions }) });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Verify failed');
+    out.innerHTML = renderResults(data);
+  } catch (e){ err.textContent = e.message || String(e); }
+});
+
+// Compare keys (rotation check)
+document.getElementById('rotationCheckBtn').addEventListener('click', async () => {
+  const domain = document.getElementById('domainInput').value.trim();
+  const token = document.getElementById('partnerToken').value.trim();
+  const regions = Array.from(document.querySelectorAll('#verifyForm input[type=checkbox]:checked')).map(el => el.value);
+  const err = document.getElementById('verifyError');
+  const out = document.getElementById('results');
+  err.textContent=''; out.innerHTML='';
+  try {
+    const r = await fetch('/rotation-check', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ domain, token, tokens: partnerTokens, regions }) });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Key comparison failed');
+    out.innerHTML = renderResults(data);
+  } catch (e){ err.textContent = e.message || String(e); }
+});
+
+// Partner account lookups
+document.querySelectorAll('[data-account-action]').forEach((button) => button.addEventListener('click', async () => {
+  const domain = document.getElementById('domainInput').value.trim();
+  const token = document.getElementById('partnerToken').value.trim();
+  const regions = Array.from(document.querySelectorAll('#accountForm input[type=checkbox]:checked')).map(el => el.value);
+  const err = document.getElementById('accountError');
+  const out = document.getElementById('results');
+  err.textContent=''; out.innerHTML='';
+  try {
+    const r = await fetch(button.dataset.accountAction, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ domain, token, tokens: partnerTokens, regions }) });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Request failed');
+    out.innerHTML = renderResults(data);
+  } catch (e){ err.textContent = e.message || String(e); }
+}));
+
+// Domain doctor
+document.getElementById('doctorForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const domain = document.getElementById('domainInput').value.trim();
+  const token = document.getElementById('partnerToken').value.trim();
+  const regions = Array.from(document.querySelectorAll('#doctorForm input[type=checkbox]:checked')).map(el => el.value);
+  const allowedOrigin = document.getElementById('originCurrent').value;
+  const err = document.getElementById('doctorError');
+  const out = document.getElementById('doctorResults');
+  err.textContent=''; out.innerHTML='';
+  try {
+    const r = await fetch('/doctor', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ domain, token, tokens: partnerTokens, regions, allowedOrigin }) });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Doctor failed');
+    out.innerHTML = data.checks.map(function(c){
+      var icon = { pass: 'bi-check-circle-fill text-success', fail: 'bi-x-circle-fill text-danger', skip: 'bi-dash-circle text-muted' }[c.status];
+      return '<li class="list-group-item"><i class="bi ' + icon + ' me-2"></i><strong>' + escapeHtml(c.label) + '</strong>'
+        + (c.detail ? '<div class="text-muted text-xs break-all">' + escapeHtml(c.detail) + '</div>' : '')
+        + (c.status === 'fail' && c.hint ? '<div class="text-xs mt-1"><i class="bi bi-lightbulb"></i> ' + escapeHtml(c.hint) + '</div>' : '')
+        + '</li>';
+    }).join('');
+  } catch (e){ err.textContent = e.message || String(e); }
+});
+
+// History
+document.getElementById('historyForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const domain = document.getElementById('domainInput').value.trim();
+  const err = document.getElementById('historyError');
+  const out = document.getElementById('historyResults');
+  err.textContent=''; out.innerHTML='';
+  try {
+    const r = await fetch('/history' + (domain ? '?domain=' + encodeURIComponent(domain) : ''));
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Failed to load history');
+    if (data.store === 'off') { out.innerHTML = '<div class="text-muted">History is turned off (BEACON_HISTORY=off).</div>'; return; }
+    if (!data.entries.length) { out.innerHTML = '<div class="text-muted">No operations recorded yet.</div>'; return; }
+    out.innerHTML = '<table class="table table-sm text-xs mb-0"><thead><tr><th>When</th><th>Operation</th><th>Domain</th><th>Regions</th><th>Key fingerprint</th></tr></thead><tbody>'
+      + data.entries.map(function(h){
+        var regions = h.regions.map(function(r){
+          var label = r.region + (r.upstreamStatus ? ' ' + r.upstreamStatus : '') + (r.match ? ' ' + r.match : '');
+          return '<span class="badge ' + (r.outcome === 'ok' ? 'text-bg-success' : 'text-bg-danger') + ' me-1" title="' + escapeHtml(r.error || r.teslaPublicKey || '') + '">' + escapeHtml(label) + '</span>';
+        }).join('');
+        return '<tr><td>' + escapeHtml(h.at) + '</td><td>' + escapeHtml(h.operation) + '</td><td>' + escapeHtml(h.domain || '') + '</td><td>' + regions + '</td>'
+          + '<td><code>' + escapeHtml(h.keyFingerprint ? h.keyFingerprint.slice(0, 16) + '…' : '-') + '</code></td></tr>';
+      }).join('') + '</tbody></table>';
+  } catch (e){ err.textContent = e.message || String(e); }
+});
+
+// Vehicles, energy products and virtual key pairing status (user token)
+document.querySelectorAll('[data-fleet-action]').forEach((button) => button.addEventListener('click', async () => {
+  const action = button.dataset.fleetAction;
+  const userToken = document.getElementById('userToken').value.trim();
+  const vins = document.getElementById('vinsInput').value.split(',').map((v) => v.trim()).filter(Boolean);
+  const regions = Array.from(document.querySelectorAll('#fleetForm input[type=checkbox]:checked')).map(el => el.value);
+  const err = document.getElementById('fleetError');
+  const summary = document.getElementById('fleetSummary');
+  const out = document.getElementById('fleetResults');
+  err.textContent=''; summary.innerHTML=''; out.innerHTML='';
+  try {
+    const r = await fetch(action, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ userToken, regions, vins }) });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Request failed');
+    summary.innerHTML = renderFleetSummary(action, data);
+    out.innerHTML = renderResults(data);
+    // Listing vehicles fills in the VINs for the pairing status check
+    if (action === '/vehicles' && !vins.length) document.getElementById('vinsInput').value = fleetItems(data).map(function(v){ return v.vin; }).filter(Boolean).join(', ');
+  } catch (e){ err.textContent = e.message || String(e); }
+}));
+
+function fleetItems(results){
+  return results.filter(function(r){ return r.status === 'fulfilled'; }).flatMap(function(r){
+    var response = r.value.data && r.value.data.response;
+    return (Array.isArray(response) ? response : []).map(function(item){ return Object.assign({ region: r.value.region }, item); });
+  });
+}
+
+function renderFleetSummary(action, results){
+  if (action === '/fleet-status') {
+    var rows = results.filter(function(r){ return r.status === 'fulfilled'; }).flatMap(function(r){
+      var response = (r.value.data && r.value.data.response) || {};
+      var info = response.vehicle_info || {};
+      return (response.key_paired_vins || []).map(function(vin){ return [r.value.region, vin, true, info[vin]]; })
+        .concat((response.unpaired_vins || []).map(function(vin){ return [r.value.region, vin, false, info[vin]]; }));
+    });
+    if (!rows.length) return '';
+    return '<table class="table table-sm text-xs mb-0"><thead><tr><th>Region</th><th>VIN</th><th>Virtual key</th><th>Firmware</th><th>Command protocol required</th></tr></thead><tbody>'
+      + rows.map(function(row){
+        var info = row[3] || {};
+        return '<tr><td>' + escapeHtml(row[0]) + '</td><td><code>' + escapeHtml(row[1]) + '</code></td>'
+          + '<td>' + (row[2] ? '<span class="badge text-bg-success">Paired</span>' : '<span class="badge text-bg-danger">Not paired</span>') + '</td>'
+          + '<td>' + escapeHtml(String(info.firmware_version || '-')) + '</td>'
+          + '<td>' + (info.vehicle_command_protocol_required === undefined ? '-' : (info.vehicle_command_protocol_required ? 'Yes' : 'No')) + '</td></tr>';
+      }).join('') + '</tbody></table>';
+  }
+  var items = fleetItems(results);
+  if (!items.length) return '<div class="text-muted">Nothing is visible to this token.</div>';
+  return '<table class="table table-sm text-xs mb-0"><thead><tr><th>Region</th><th>Type</th><th>Name</th><th>ID</th><th>State</th></tr></thead><tbody>'
+    + items.map(function(item){
+      var vehicle = Boolean(item.vin);
+      return '<tr><td>' + escapeHtml(item.region) + '</td><td>' + (vehicle ? 'Vehicle' : escapeHtml(String(item.resource_type || 'Energy site'))) + '</td>'
+        + '<td>' + escapeHtml(String((vehicle ? item.display_name : item.site_name) || '-')) + '</td>'
+        + '<td><code>' + escapeHtml(String(vehicle ? item.vin : (item.energy_site_id || item.id || '-'))) + '</code></td>'
+        + '<td>' + escapeHtml(String(item.state || '-')) + '</td></tr>';
+    }).join('') + '</tbody></table>';
+}
+
+// Pairing link and QR code for the domain above
+document.getElementById('pairingForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const domain = document.getElementById('domainInput').value.trim();
+  const err = document.getElementById('pairingError');
+  const result = document.getElementById('pairingResult');
+  err.textContent=''; result.classList.add('d-none');
+  try {
+    const r = await fetch('/pairing?domain=' + encodeURIComponent(domain));
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || 'Failed to build the pairing link');
+    document.getElementById('pairingUrl').value = data.url;
+    document.getElementById('pairingOpen').href = data.url;
+    document.getElementById('pairingQr').innerHTML = data.qrSvg;
+    result.classList.remove('d-none');
+  } catch (e){ err.textContent = e.message || String(e); }
+});
+
+var ROTATION_LABELS = { active: 'Tesla has the active key', pending: 'Tesla already has the upcoming key', previous: 'Tesla still has the previous key', unknown: 'Tesla has a key we do not recognise', missing: 'Tesla returned no key' };
+
+function renderResults(results){
+   if (!Array.isArray(results)) return '<div class="alert alert-danger">Unexpected response</div>';
+  return results.map(function(r){
+    var ok = r.status === 'fulfilled';
+    var title = ok ? '✅ ' + ((r.value && r.value.region) || '') + ' Success' : '❌ ' + ((r.value && r.value.region) || '') + ' Failed';
+    var data = ok ? (r.value && r.value.data) : (r.reason && r.reason.body);
+    var url = ok ? (r.value && r.value.url) : (r.reason && r.reason.url);
+    var rotation = ok && r.value && r.value.rotation;
+    var html = '<div class="alert ' + (ok ? (rotation && !rotation.inSync ? 'alert-warning' : 'alert-success') : 'alert-danger') + '">'
+      + '<h6 class="mb-2">' + title + '</h6>'
+      + (!ok ? renderUpstreamError(r.reason || {}) : '')
+      + (rotation ? ('<div class="mb-2"><strong>' + escapeHtml(ROTATION_LABELS[rotation.match] || rotation.match) + '</strong>' + (rotation.fingerprint ? ' <code class="text-xs">' + escapeHtml(rotation.fingerprint) + '</code>' : '') + '</div>') : '')
+      + (url ? ('<div class="text-muted text-xs">Request URL: ' + escapeHtml(url) + '</div>') : '')
+      + (r.value && r.value.attempts !== undefined ? ('<div class="text-muted text-xs">' + r.value.attempts + (r.value.attempts === 1 ? ' attempt' : ' attempts') + ' in ' + r.value.durationMs + ' ms</div>') : '')
+      + (data !== undefined ? '<pre class="text-xs pre-wrap">' + escapeHtml(JSON.stringify(data, null, 2)) + '</pre>' : '')
+      + '</div>';
+    return html;
+  }).join('');
+}
+
+// Failed region: Tesla's status, error code and description, plus whether retrying may help
+function renderUpstreamError(e){
+  var facts = [];
+  facts.push(e.status ? 'HTTP ' + e.status : 'No response');
+  if (e.code) facts.push('<code>' + escapeHtml(e.code) + '</code>');
+  facts.push(e.retriable ? '<span class="badge bg-warning text-dark">Retriable</span>' : '<span class="badge bg-secondary">Not retriable</span>');
+  return '<div class="mb-1">' + facts.join(' · ') + '</div>'
+    + '<div class="mb-2">' + escapeHtml(e.description || e.message || 'Unknown error') + '</div>';
+}
+
+function describeUpstream(e){
+  if (!e || typeof e !== 'object') return String(e);
+  return (e.status ? 'HTTP ' + e.status + ' ' : '') + (e.code || '') + (e.description ? ' - ' + e.description : (e.code ? '' : e.message || ''));
+}